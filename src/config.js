@@ -5,31 +5,170 @@ if (process.env.NODE_ENV !== 'production') {
   dotenv.config();
 }
 
+// "10MB", "512KB", "2097152" → bytes (null when unreadable)
+export function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value || '');
+  if (!match) return null;
+  
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+// "application/pdf=10MB,image/*=5MB" → { 'application/pdf': 10485760, 'image/*': 5242880 }
+export function parseSizeLimits(value) {
+  const limits = {};
+  
+  for (const pair of (value || '').split(',')) {
+    const [mimeType, size] = pair.split('=').map(part => part?.trim());
+    const bytes = parseSize(size);
+    
+    if (mimeType && bytes) {
+      limits[mimeType.toLowerCase()] = bytes;
+    } else if (pair.trim()) {
+      console.warn(`⚠️ Ignoring ATTACHMENT_SIZE_LIMITS entry "${pair.trim()}" (expected mime/type=10MB)`);
+    }
+  }
+  
+  return limits;
+}
+
+// "gpt-4o-mini=0.15/0.6, llama3.1:8b=0/0" → { 'gpt-4o-mini': { input: 0.15, output: 0.6 }, ... } (USD per 1M tokens)
+export function parsePricing(value) {
+  const pricing = {};
+  
+  for (const pair of (value || '').split(',')) {
+    const [model, rates] = [pair.slice(0, pair.indexOf('=')).trim(), pair.slice(pair.indexOf('=') + 1).trim()];
+    const match = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(rates);
+    
+    if (pair.includes('=') && model && match) {
+      pricing[model] = { input: parseFloat(match[1]), output: parseFloat(match[2]) };
+    } else if (pair.trim()) {
+      console.warn(`⚠️ Ignoring LLM_PRICING entry "${pair.trim()}" (expected model=<input>/<output> USD per 1M tokens)`);
+    }
+  }
+  
+  return pricing;
+}
+
 export const CONFIG = {
   // Environment detection
   IS_LOCAL: !process.env.GITHUB_ACTIONS,
   IS_PRODUCTION: process.env.NODE_ENV === 'production',
   IS_GITHUB_ACTIONS: !!process.env.GITHUB_ACTIONS,
 
+  // Mail source: 'gmail' (default), 'imap' or 'local' (.eml files / mbox exports)
+  MAIL_SOURCE: process.env.MAIL_SOURCE || 'gmail',
+  LOCAL_MAIL_PATHS: (process.env.LOCAL_MAIL_PATH || '').split(',').map(p => p.trim()).filter(Boolean),
+  
+  // IMAP Configuration (MAIL_SOURCE=imap)
+  IMAP_CONFIG: {
+    host: process.env.IMAP_HOST,
+    port: parseInt(process.env.IMAP_PORT) || 993,
+    secure: process.env.IMAP_SECURE !== 'false',
+    user: process.env.IMAP_USER,
+    password: process.env.IMAP_PASSWORD,
+    mailbox: process.env.IMAP_MAILBOX || 'INBOX',
+    unseenOnly: process.env.IMAP_UNSEEN_ONLY === 'true',
+    rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+  },
+  
   // Gmail Configuration
   BATCH_SIZE: parseInt(process.env.BATCH_SIZE) || (process.env.GITHUB_ACTIONS ? 300 : 50),
   MAX_EMAIL_AGE_DAYS: parseInt(process.env.MAX_EMAIL_AGE_DAYS) || (process.env.GITHUB_ACTIONS ? 30 : 60),
+  // 'history' = incremental sync via users.history.list, 'query' = full search sweep every run
+  GMAIL_SYNC_MODE: process.env.GMAIL_SYNC_MODE || 'history',
   
   // OCR Configuration
-  OCR_LANGUAGE: 'eng',
-  OCR_TIMEOUT: 45000,
+  OCR_LANGUAGE: process.env.OCR_LANGUAGE || 'eng',
+  OCR_TIMEOUT: parseInt(process.env.OCR_TIMEOUT) || 45000,
+  // Scans and images: 'local' (Tesseract), 'drive' (Google Drive OCR) or 'local-then-drive'
+  OCR_BACKEND: process.env.OCR_BACKEND || 'local-then-drive',
+  // Directory with <lang>.traineddata.gz; defaults to the installed @tesseract.js-data/<lang> package
+  OCR_LANG_PATH: process.env.OCR_LANG_PATH || null,
+  OCR_CACHE_PATH: process.env.OCR_CACHE_PATH || 'ocr-temp/tessdata',
+  // Read PDF/DOCX/RTF text in-process; Drive OCR only for images and PDFs without a text layer
+  LOCAL_TEXT_EXTRACTION: process.env.LOCAL_TEXT_EXTRACTION !== 'false',
+  // Fewer embedded characters per page than this and a PDF is treated as scanned
+  MIN_TEXT_LAYER_CHARS: parseInt(process.env.MIN_TEXT_LAYER_CHARS) || 100,
+  // Drive OCR temp docs (ocr_*) still pending deletion, and the age the sweep command deletes them at.
+  // 'file' (OCR_JOURNAL_PATH) or 'supabase' (OCR_TEMP_DOCS_TABLE) - use supabase on ephemeral runners
+  OCR_JOURNAL_STORE: process.env.OCR_JOURNAL_STORE || 'file',
+  OCR_JOURNAL_PATH: process.env.OCR_JOURNAL_PATH || 'ocr-temp/drive-temp-docs.json',
+  OCR_TEMP_DOC_MAX_AGE_HOURS: parseFloat(process.env.OCR_TEMP_DOC_MAX_AGE_HOURS) || 24,
   
   // GPT Configuration
-  GPT_MODEL: 'gpt-4o-mini',
   GPT_MAX_TOKENS: 200,
   GPT_TEMPERATURE: 0.1,
-  GPT_TIMEOUT: 20000,
+  // 'contact' (phone, email, LinkedIn) or 'profile' (contact + role, experience, notice, degree, skills, links, summary)
+  GPT_EXTRACTION_MODE: process.env.GPT_EXTRACTION_MODE || 'contact',
+  GPT_PROFILE_MAX_TOKENS: parseInt(process.env.GPT_PROFILE_MAX_TOKENS) || 700,
+  // Regex / screening-answer profile values at or above this confidence win over the LLM's
+  PROFILE_REGEX_MIN_CONFIDENCE: parseFloat(process.env.PROFILE_REGEX_MIN_CONFIDENCE) || 0.8,
+  // Optional LLM fit score (0-100, rationale, red flags) against the job description
+  ENABLE_FIT_SCORING: process.env.ENABLE_FIT_SCORING === 'true',
+  FIT_SCORE_MAX_TOKENS: parseInt(process.env.FIT_SCORE_MAX_TOKENS) || 500,
+  
+  // Job descriptions by project_id or job title: 'files' (<key>.md / .txt in JOB_DESCRIPTIONS_PATH)
+  // or 'supabase' (JOB_DESCRIPTIONS_TABLE with project_id, title, description)
+  JOB_DESCRIPTIONS_SOURCE: process.env.JOB_DESCRIPTIONS_SOURCE || 'files',
+  JOB_DESCRIPTIONS_PATH: process.env.JOB_DESCRIPTIONS_PATH || 'config/job-descriptions',
+  JOB_DESCRIPTIONS_TABLE: process.env.JOB_DESCRIPTIONS_TABLE || 'job_descriptions',
+  
+  // LLM provider: 'openai', 'azure' (Azure OpenAI) or 'openai-compatible' (Ollama, llama.cpp, vLLM ...)
+  // structuredOutput: 'json_schema' (schema-constrained), 'json_object' (any JSON) or 'none'
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'openai',
+  LLM_PROVIDERS: {
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.OPENAI_TIMEOUT) || 20000,
+      structuredOutput: process.env.OPENAI_STRUCTURED_OUTPUT || 'json_schema'
+    },
+    azure: {
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      // Azure addresses models by deployment name
+      model: process.env.AZURE_OPENAI_DEPLOYMENT,
+      timeout: parseInt(process.env.AZURE_OPENAI_TIMEOUT) || 30000,
+      structuredOutput: process.env.AZURE_OPENAI_STRUCTURED_OUTPUT || 'json_schema'
+    },
+    'openai-compatible': {
+      baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_API_KEY || null,
+      model: process.env.LLM_MODEL || 'llama3.1:8b',
+      // Local models on a CPU are slow - give them longer
+      timeout: parseInt(process.env.LLM_TIMEOUT) || 120000,
+      // Ollama and llama.cpp take json_schema too, but older servers only know json_object
+      structuredOutput: process.env.LLM_STRUCTURED_OUTPUT || 'json_object'
+    }
+  },
+  
+  // 🚀 NEW: USD per 1M prompt (input) / completion (output) tokens. The longest model-name prefix wins,
+  // so dated snapshots (gpt-4o-mini-2024-07-18) are priced too; Azure deployments need an entry.
+  LLM_PRICING: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    ...parsePricing(process.env.LLM_PRICING)
+  },
+  // Skip the GPT stage for the rest of the (UTC) day once this much has been spent - 0 means no cap
+  LLM_DAILY_SPEND_CAP_USD: parseFloat(process.env.LLM_DAILY_SPEND_CAP_USD) || 0,
   
   // Supabase Configuration - Updated table names
   SUPABASE_URL: process.env.SUPABASE_URL,
   SUPABASE_KEY: process.env.SUPABASE_KEY,
   TABLE_NAME: 'applicant_details_duplicate',
   PROCESSED_MESSAGES_TABLE: 'processed_messages_duplicate',
+  SYNC_STATE_TABLE: 'gmail_sync_state',
+  ATTACHMENT_INDEX_TABLE: process.env.ATTACHMENT_INDEX_TABLE || 'attachment_index',
+  LLM_USAGE_TABLE: process.env.LLM_USAGE_TABLE || 'llm_usage_daily',
+  // Postgres function that adds one flush to LLM_USAGE_TABLE atomically (SQL in the README)
+  LLM_USAGE_FUNCTION: process.env.LLM_USAGE_FUNCTION || 'increment_llm_usage',
+  OCR_TEMP_DOCS_TABLE: process.env.OCR_TEMP_DOCS_TABLE || 'ocr_temp_docs',
   
   // OAuth2 Configuration
   GOOGLE_OAUTH_CONFIG: {
@@ -42,11 +181,27 @@ export const CONFIG = {
   GOOGLE_SHEET_ID: process.env.GOOGLE_SHEET_ID,
   GOOGLE_DRIVE_FOLDER_ID: process.env.GOOGLE_DRIVE_FOLDER_ID,
   
+  // Sub-folders (under GOOGLE_DRIVE_FOLDER_ID) and file names for uploads - empty template = flat folder
+  DRIVE_FOLDER_TEMPLATE: process.env.DRIVE_FOLDER_TEMPLATE ?? '{project_id|job_title}/{YYYY-MM}/{candidate}',
+  DRIVE_FILE_NAME_TEMPLATE: process.env.DRIVE_FILE_NAME_TEMPLATE || '{YYYY-MM-DD}_{candidate}_{filename}',
+  
   // Application Settings
   DEBUG_MODE: process.env.DEBUG_MODE === 'true' || !process.env.GITHUB_ACTIONS,
   ENABLE_OCR: process.env.ENABLE_OCR !== 'false',
   ENABLE_GPT: process.env.ENABLE_GPT !== 'false',
   
+  // Known screening questions per job (sheet columns + answer keys)
+  SCREENING_QUESTIONS_PATH: process.env.SCREENING_QUESTIONS_PATH || 'config/screening-questions.json',
+  
+  // Skills taxonomy (synonyms) and required / nice-to-have skills per job
+  SKILLS_CONFIG_PATH: process.env.SKILLS_CONFIG_PATH || 'config/skills.json',
+  
+  // Currency assumed for compensation answers that don't state one
+  DEFAULT_CURRENCY: process.env.COMPENSATION_DEFAULT_CURRENCY || 'INR',
+  
+  // Parsed fields scoring below this confidence are flagged for manual review
+  LOW_CONFIDENCE_THRESHOLD: parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.6,
+  
   // Local testing features
   DRY_RUN: process.env.DRY_RUN === 'true',
   TEST_MODE: process.env.TEST_MODE === 'true',
@@ -68,10 +223,65 @@ export const CONFIG = {
     5. For linkedin_url: must be complete LinkedIn profile URL
 
     Resume text:`,
+  
+  // Profile extraction prompt (GPT_EXTRACTION_MODE=profile)
+  GPT_PROFILE_PROMPT: `Extract a candidate profile from this resume text. Return ONLY a valid JSON object with these exact fields:
+
+    {
+      "mobile_number": "phone number (include country code if present)",
+      "email": "email address",
+      "linkedin_url": "LinkedIn profile URL",
+      "github_url": "GitHub profile URL",
+      "portfolio_url": "personal website or portfolio URL (not LinkedIn or GitHub)",
+      "current_employer": "company the candidate works at now",
+      "current_title": "the candidate's current job title",
+      "total_experience_years": "total years of professional experience, as a number",
+      "notice_period": "notice period as written, e.g. '30 days', 'Immediate'",
+      "notice_period_days": "notice period in days, as an integer (0 for immediate)",
+      "highest_degree": "highest degree with field, e.g. 'M.Tech Computer Science'",
+      "key_skills": ["up to 15 most relevant skills"],
+      "summary": "two-line summary of the candidate"
+    }
+
+    IMPORTANT RULES:
+    1. Return ONLY the JSON object, no markdown formatting, no code blocks, no explanatory text
+    2. If any field is not found, use null (an empty list for key_skills)
+    3. Only report what the resume states - do not guess an employer, notice period or degree
+    4. current_employer and current_title are null unless a role is marked current / present
+    5. summary is at most two sentences, each on its own line
+
+    Resume text:`,
+  
+  // Fit scoring prompt (ENABLE_FIT_SCORING) - followed by the job description and the candidate
+  FIT_SCORE_PROMPT: `You are screening a job application. Rate how well the candidate fits the job description below. Return ONLY a valid JSON object with these exact fields:
+
+    {
+      "score": "integer from 0 (no fit) to 100 (excellent fit)",
+      "rationale": "two or three sentences explaining the score",
+      "red_flags": ["concrete concerns, e.g. missing required skill, too little experience, long notice period"]
+    }
+
+    IMPORTANT RULES:
+    1. Return ONLY the JSON object, no markdown formatting, no code blocks, no explanatory text
+    2. Judge only on skills, experience, qualifications and stated constraints in the job description
+    3. Ignore name, gender, age, nationality, photos and anything else not related to the job
+    4. Use an empty list when there are no red flags`,
     
     // OCR Configuration
     ENABLE_MULTI_FORMAT_OCR: process.env.ENABLE_MULTI_FORMAT_OCR !== 'false',
-    MAX_ATTACHMENT_SIZE: parseInt(process.env.MAX_ATTACHMENT_SIZE) || 2 * 1024 * 1024, // 2MB
+    // Text extraction limit for types without their own entry in ATTACHMENT_SIZE_LIMITS
+    MAX_ATTACHMENT_SIZE: parseSize(process.env.MAX_ATTACHMENT_SIZE) || 2 * 1024 * 1024, // 2MB
+    // Per-MIME text extraction limits ("type/*" covers a family); bigger files are still uploaded
+    ATTACHMENT_SIZE_LIMITS: {
+      'application/pdf': 10 * 1024 * 1024,
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 5 * 1024 * 1024,
+      'image/*': 5 * 1024 * 1024,
+      ...parseSizeLimits(process.env.ATTACHMENT_SIZE_LIMITS)
+    },
+    // PDFs over their limit still get the first N pages read (local extraction / local OCR only)
+    LARGE_FILE_MAX_PAGES: parseInt(process.env.LARGE_FILE_MAX_PAGES) || 3,
+    // Nothing above this is downloaded or uploaded to Drive (Gmail's own attachment cap is 25MB)
+    MAX_UPLOAD_SIZE: parseSize(process.env.MAX_UPLOAD_SIZE) || 25 * 1024 * 1024,
     
     // Supported attachment formats
     SUPPORTED_RESUME_FORMATS: [
@@ -82,13 +292,18 @@ export const CONFIG = {
       'text/plain',
       'application/rtf'
     ],
+    
+    // ZIP attachments - unpacked in memory, limits on the inflated contents
+    ZIP_MAX_FILES: parseInt(process.env.ZIP_MAX_FILES) || 20,
+    ZIP_MAX_FILE_SIZE: parseInt(process.env.ZIP_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB per file
+    ZIP_MAX_TOTAL_SIZE: parseInt(process.env.ZIP_MAX_TOTAL_SIZE) || 25 * 1024 * 1024, // 25MB per archive
+    ZIP_MAX_COMPRESSION_RATIO: parseInt(process.env.ZIP_MAX_COMPRESSION_RATIO) || 100,
   };
 
 // Environment variable validation
 const requiredEnvVars = [
   { name: 'SUPABASE_URL', description: 'Supabase project URL' },
   { name: 'SUPABASE_KEY', description: 'Supabase service role key' },
-  { name: 'OPENAI_API_KEY', description: 'OpenAI API key for GPT' },
   { name: 'GOOGLE_CLIENT_ID', description: 'Google OAuth2 client ID' },
   { name: 'GOOGLE_CLIENT_SECRET', description: 'Google OAuth2 client secret' },
   { name: 'GOOGLE_REFRESH_TOKEN', description: 'Google OAuth2 refresh token' },
@@ -96,6 +311,23 @@ const requiredEnvVars = [
   { name: 'GOOGLE_DRIVE_FOLDER_ID', description: 'Google Drive folder ID for file storage' }
 ];
 
+// Credentials for the selected LLM provider only - a local endpoint needs none
+const llmEnvVars = {
+  openai: [
+    { name: 'OPENAI_API_KEY', description: 'OpenAI API key for GPT' }
+  ],
+  azure: [
+    { name: 'AZURE_OPENAI_API_KEY', description: 'Azure OpenAI API key' },
+    { name: 'AZURE_OPENAI_ENDPOINT', description: 'Azure OpenAI resource endpoint (https://<resource>.openai.azure.com)' },
+    { name: 'AZURE_OPENAI_DEPLOYMENT', description: 'Azure OpenAI model deployment name' }
+  ],
+  'openai-compatible': []
+};
+
+if (CONFIG.ENABLE_GPT) {
+  requiredEnvVars.push(...(llmEnvVars[CONFIG.LLM_PROVIDER] || []));
+}
+
 const missingVars = requiredEnvVars.filter(({ name }) => !process.env[name]);
 
 if (missingVars.length > 0) {
@@ -128,4 +360,10 @@ if (CONFIG.DEBUG_MODE && CONFIG.IS_LOCAL) {
   console.log(`   Tracking Table: ${CONFIG.PROCESSED_MESSAGES_TABLE}`);
   console.log(`   Batch Size: ${CONFIG.BATCH_SIZE}`);
   console.log(`   Max Email Age: ${CONFIG.MAX_EMAIL_AGE_DAYS} days`);
+  console.log(`   Mail Source: ${CONFIG.MAIL_SOURCE}`);
+  console.log(`   Gmail Sync Mode: ${CONFIG.GMAIL_SYNC_MODE}`);
+  console.log(`   LLM Provider: ${CONFIG.LLM_PROVIDER}`);
+  console.log(`   GPT Extraction Mode: ${CONFIG.GPT_EXTRACTION_MODE}`);
+  console.log(`   LLM Daily Spend Cap: ${CONFIG.LLM_DAILY_SPEND_CAP_USD > 0 ? `$${CONFIG.LLM_DAILY_SPEND_CAP_USD}` : 'none'}`);
+  console.log(`   Fit Scoring: ${CONFIG.ENABLE_FIT_SCORING ? `on (job descriptions from ${CONFIG.JOB_DESCRIPTIONS_SOURCE})` : 'off'}`);
 }
\ No newline at end of file
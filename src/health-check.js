@@ -1,11 +1,11 @@
 // Enhanced health check for dual table system
 import { createLogger } from './utils/logger.js';
 import { OAuth2AuthService } from './services/oauth-auth.js';
-import { GmailService } from './services/gmail.js';
 import { DriveService } from './services/drive.js';
 import { SheetsService } from './services/sheets.js';
 import { SupabaseService } from './services/supabase.js';
-import { OpenAIService } from './services/openai.js';
+import { LLMService } from './services/llm.js';
+import { mailSourceFor } from './services/mail-source.js';
 import { StorageManager } from './utils/storage.js';
 import { CONFIG } from './config.js';
 
@@ -15,6 +15,11 @@ async function runHealthCheck() {
   logger.info('🏥 Starting enhanced OAuth2-based system health check...');
   logger.info(`   Main Table: ${CONFIG.TABLE_NAME}`);
   logger.info(`   Tracking Table: ${CONFIG.PROCESSED_MESSAGES_TABLE}`);
+  logger.info(`   Mail Source: ${CONFIG.MAIL_SOURCE}`);
+  logger.info(`   LLM Provider: ${CONFIG.LLM_PROVIDER} (${CONFIG.LLM_PROVIDERS[CONFIG.LLM_PROVIDER]?.model || 'no model set'})`);
+  
+  // 🚀 MODIFIED: The configured mail source is checked, the same one main.js reads from
+  const mailSource = mailSourceFor(CONFIG.MAIL_SOURCE);
   
   const services = [
     { name: 'OAuth2 Authentication', service: OAuth2AuthService },
@@ -22,8 +27,9 @@ async function runHealthCheck() {
     { name: 'Storage Manager (Message Tracking)', service: StorageManager },
     { name: 'Google Sheets', service: SheetsService },
     { name: 'Google Drive', service: DriveService },
-    { name: 'Gmail', service: GmailService },
-    { name: 'OpenAI', service: OpenAIService }
+    { name: mailSource.name, service: mailSource.service },
+    // 🚀 MODIFIED: The LLM provider is only configured (and checked) with ENABLE_GPT on
+    ...(CONFIG.ENABLE_GPT ? [{ name: `LLM: ${CONFIG.LLM_PROVIDER}`, service: LLMService }] : [])
   ];
   
   const results = [];
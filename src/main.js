@@ -1,29 +1,47 @@
 // main.js - Fixed version addressing all discrepancy issues
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import { CONFIG } from './config.js';
-import { DriveService } from './services/drive.js';
+import { DriveService, templateValues } from './services/drive.js';
 import { GmailService } from './services/gmail.js';
-import { OpenAIService } from './services/openai.js';
+import { LLMService, emptyUsage } from './services/llm.js';
+import { mailSourceFor } from './services/mail-source.js';
 import { SheetsService } from './services/sheets.js';
 import { SupabaseService } from './services/supabase.js';
 import { createLogger } from './utils/logger.js';
+import { ArchiveExtractor } from './utils/archive.js';
+import { AttachmentClassifier, chooseResume, firstOfType } from './utils/attachments.js';
+import { expectedCompensation, findCompensation } from './utils/compensation.js';
 import { EmailParser } from './utils/parser.js';
+import { JobDescriptionStore } from './utils/job-descriptions.js';
+import { createProvenance, patternProvenance, summarizeProvenance } from './utils/provenance.js';
+import { mergeProfile, regexProfile } from './utils/profile.js';
+import { ResumeParser } from './utils/resume.js';
+import { SkillMatcher } from './utils/skills.js';
 import { StorageManager } from './utils/storage.js';
 
 const logger = createLogger();
 
 class ApplicantProcessor {
   constructor() {
+    this.storage = new StorageManager();
     this.gmail = new GmailService();
-    this.drive = new DriveService();
+    this.mailSource = this.createMailSource();
+    this.drive = new DriveService({ storage: this.storage });
     this.sheets = new SheetsService();
     this.supabase = new SupabaseService();
-    this.openai = new OpenAIService();
+    // 🚀 MODIFIED: No LLM client with ENABLE_GPT=false - the provider settings are optional then
+    this.llm = CONFIG.ENABLE_GPT ? new LLMService(null, { storage: this.storage }) : null;
     this.parser = new EmailParser();
-    this.storage = new StorageManager();
+    this.attachmentClassifier = new AttachmentClassifier();
+    this.archiveExtractor = new ArchiveExtractor();
+    this.resumeParser = new ResumeParser();
+    this.skillMatcher = new SkillMatcher();
+    this.jobDescriptions = new JobDescriptionStore({ storage: this.storage });
     
     this.stats = {
       startTime: new Date(),
+      syncMode: null,
       emailsFound: 0,
       emailsProcessed: 0,
       emailsSkipped: 0,
@@ -33,6 +51,62 @@ class ApplicantProcessor {
       attachmentsFound: 0,
       attachmentsProcessed: 0,
       ocrSuccessful: 0,
+      extractionStats: {},
+      attachmentTypeStats: {},
+      dedupStats: {
+        uploads: 0,
+        uploadsReused: 0,
+        extractionsReused: 0,
+        sameResumeDifferentApplicant: 0
+      },
+      largeFileStats: {
+        partiallyExtracted: 0,
+        notExtracted: 0,
+        notUploaded: 0
+      },
+      archiveStats: {
+        archives: 0,
+        filesExtracted: 0,
+        entriesSkipped: 0,
+        failed: 0
+      },
+      sourceStats: {},
+      lowConfidenceApplicants: 0,
+      provenanceStats: {},
+      locationStats: {
+        byCountry: {},
+        byCity: {},
+        byWorkMode: {},
+        unrecognized: 0
+      },
+      resumeStats: {
+        parsed: 0,
+        withExperience: 0,
+        withEducation: 0,
+        withSkills: 0
+      },
+      skillMatchStats: {
+        matchedJobs: 0,
+        allRequiredMet: 0,
+        unconfiguredJobs: {}
+      },
+      // 🚀 NEW: Which side of the regex / LLM merge each profile field came from
+      profileStats: {
+        llmProfiles: 0,
+        fromRegex: {},
+        fromLLM: {}
+      },
+      // 🚀 NEW: LLM fit scores, and jobs (project_id or title) that had no description to score against
+      fitScoreStats: {
+        scored: 0,
+        failed: 0,
+        noJobDescription: {}
+      },
+      // 🚀 NEW: LLM calls not made because LLM_DAILY_SPEND_CAP_USD was reached
+      llmBudgetStats: {
+        dailyCapUsd: CONFIG.LLM_DAILY_SPEND_CAP_USD,
+        skippedCalls: 0
+      },
       formatStats: {
         pdf: 0,
         image: 0,
@@ -53,6 +127,13 @@ class ApplicantProcessor {
     };
   }
 
+  // 🚀 NEW: Mail source selected by CONFIG.MAIL_SOURCE (same interface as GmailService)
+  createMailSource() {
+    const { name, service } = mailSourceFor(CONFIG.MAIL_SOURCE);
+    this.mailSourceName = name;
+    return service === GmailService ? this.gmail : new service();
+  }
+
   async initialize() {
     logger.info('🚀 Initializing Enhanced Applicant Processor with Message Tracking...');
     
@@ -65,6 +146,13 @@ class ApplicantProcessor {
       await this.testConnections();
       await this.sheets.initializeSheet();
       
+      // 🚀 NEW: Drive OCR temp docs an interrupted run didn't get to delete
+      try {
+        await this.drive.cleanupJournaledTempDocs();
+      } catch (error) {
+        logger.warn(`⚠️ Could not clean up leftover OCR temp docs: ${error.message}`);
+      }
+      
       // Optional: Clean up old processed message records
       if (!CONFIG.IS_GITHUB_ACTIONS) {
         await this.storage.cleanupOldRecords(30);
@@ -88,9 +176,12 @@ class ApplicantProcessor {
       { name: 'Storage Manager', test: () => this.storage.initializeTable(), critical: true },
       { name: 'Google Sheets', test: () => this.sheets.testConnection(), critical: true },
       { name: 'Google Drive', test: () => this.drive.testConnection(), critical: false },
-      { name: 'Gmail', test: () => this.gmail.testConnection(), critical: true },
-      { name: 'OpenAI', test: () => this.openai.testConnection(), critical: true }
+      { name: this.mailSourceName, test: () => this.mailSource.testConnection(), critical: true },
+      ...(this.llm ? [{ name: `LLM (${this.llm.provider.label})`, test: () => this.llm.testConnection(), critical: true }] : [])
     ];
+    if (!this.llm) {
+      logger.info('⏭️ GPT disabled (ENABLE_GPT=false) - LLM connection not tested');
+    }
 
     let criticalFailures = 0;
 
@@ -119,24 +210,30 @@ class ApplicantProcessor {
     try {
       logger.info('🔥 Starting enhanced email processing cycle...');
       
-      // 🚀 MODIFIED: Use config-based batch size
-      const messages = await this.gmail.getLatestEmails(CONFIG.BATCH_SIZE);
+      // 🚀 MODIFIED: Incremental history sync with full query sweep fallback
+      const sync = await this.fetchMessages();
+      const messages = sync.messages;
       this.stats.emailsFound = messages.length;
       
+      // 🚀 MODIFIED: A run with no new mail still writes stats.json and the LLM usage
       if (messages.length === 0) {
         logger.info('📭 No new emails found');
-        return;
+      } else {
+        logger.info(`📋 Processing ${messages.length} emails...`);
+        logger.info(`🎯 Process All Mode: ${CONFIG.PROCESS_ALL_EMAILS}`);
       }
   
-      logger.info(`📋 Processing ${messages.length} emails...`);
-      logger.info(`🎯 Process All Mode: ${CONFIG.PROCESS_ALL_EMAILS}`);
-  
       for (let i = 0; i < messages.length; i++) {
         const message = messages[i];
         try {
           logger.info(`📧 Processing email ${i + 1}/${messages.length}: "${message.subject}"`);
           await this.processMessage(message);
           
+          // 🚀 NEW: With IMAP_UNSEEN_ONLY a tracked message must leave the unseen listing
+          if (CONFIG.MAIL_SOURCE === 'imap' && CONFIG.IMAP_CONFIG.unseenOnly) {
+            await this.mailSource.markAsRead(message.id);
+          }
+          
           // 🚀 NEW: Progress logging for large batches
           if (CONFIG.PROCESS_ALL_EMAILS && (i + 1) % 100 === 0) {
             logger.info(`📊 Progress: ${i + 1}/${messages.length} emails processed (${((i + 1) / messages.length * 100).toFixed(1)}%)`);
@@ -151,9 +248,19 @@ class ApplicantProcessor {
           });
           logger.error(`❌ Error processing message ${message.id}:`, error.message);
         }
+        
+        // 🚀 NEW: Daily LLM usage is written per message so the spend cap holds across runs
+        await this.llm?.flushUsage();
       }
       
+      // The connection test's usage, when no message was processed
+      await this.llm?.flushUsage();
+      
+      // Only advance the cursor once the batch has been handled
+      await this.saveSyncCursor(sync);
+      
       await this.generateEnhancedReport();
+      await this.drive.ocr.terminate();
       logger.info('✅ Enhanced email processing cycle completed');
       
     } catch (error) {
@@ -162,12 +269,50 @@ class ApplicantProcessor {
     }
   }
   
+  // 🚀 NEW: Choose between incremental history sync and the full query sweep
+  async fetchMessages() {
+    if (CONFIG.MAIL_SOURCE !== 'gmail') {
+      this.stats.syncMode = CONFIG.MAIL_SOURCE;
+      const messages = await this.mailSource.getLatestEmails(CONFIG.BATCH_SIZE, {
+        shouldSkip: id => this.storage.isProcessed(id)
+      });
+      return { messages, syncKey: null, historyId: null };
+    }
+    
+    if (CONFIG.GMAIL_SYNC_MODE !== 'history') {
+      this.stats.syncMode = 'query';
+      const messages = await this.gmail.getLatestEmails(CONFIG.BATCH_SIZE);
+      return { messages, syncKey: null, historyId: null };
+    }
+    
+    // Capture the cursor before listing so nothing added mid-sweep is missed
+    const profile = await this.gmail.getProfile();
+    const syncKey = `gmail:${profile.emailAddress}`;
+    
+    // 🚀 MODIFIED: History sync, seeding and the expired-cursor fallback live in GmailService.syncEmails
+    const sync = await this.gmail.syncEmails({
+      storedHistoryId: await this.storage.getSyncState(syncKey),
+      currentHistoryId: profile.historyId,
+      maxResults: CONFIG.BATCH_SIZE,
+      shouldSkip: id => this.storage.isProcessed(id)
+    });
+    
+    this.stats.syncMode = sync.mode;
+    return { messages: sync.messages, syncKey, historyId: sync.historyId };
+  }
+  
+  async saveSyncCursor(sync) {
+    if (!sync.syncKey || !sync.historyId) return;
+    await this.storage.saveSyncState(sync.syncKey, sync.historyId);
+  }
+  
   // 🚀 FIXED: processMessage method - simplified to only check message ID
   async processMessage(message) {
     const startTime = Date.now();
     const messageId = message.id;
     
     logger.info(`🔄 Processing: "${message.subject}" (${messageId})`);
+    const llmUsageStart = this.llm?.usageSnapshot();
     
     try {
       // 🚀 CRITICAL FIX: Only check if message ID already processed (not duplicate applicant)
@@ -178,27 +323,28 @@ class ApplicantProcessor {
         return; // Early return - message already tracked
       }
 
-      // 🚀 TRACK ALL MESSAGES: Even if not LinkedIn, track them for statistics
+      // 🚀 TRACK ALL MESSAGES: Even if not an application, track them for statistics
       let skipReason = null;
-      let isValidLinkedInEmail = true;
+      let isValidApplicationEmail = true;
 
-      // Check if it's a LinkedIn application
-      if (!this.parser.isLinkedInApplication(message)) {
-        logger.info(`📧 Not a LinkedIn application: ${messageId}`);
-        skipReason = 'Not LinkedIn application';
-        isValidLinkedInEmail = false;
+      // 🚀 NEW: Find the source parser (LinkedIn, Naukri, Indeed, ...) that claims this email
+      const sourceParser = this.parser.detectSourceParser(message);
+      if (!sourceParser) {
+        logger.info(`📧 Not a job application: ${messageId}`);
+        skipReason = 'Not a job application';
+        isValidApplicationEmail = false;
       }
       
-      // Check email age
+      // Check email age (local sources are backfills, so they are exempt)
       const emailAge = (new Date() - message.date) / (1000 * 60 * 60 * 24);
-      if (emailAge > CONFIG.MAX_EMAIL_AGE_DAYS) {
+      if (CONFIG.MAIL_SOURCE !== 'local' && emailAge > CONFIG.MAX_EMAIL_AGE_DAYS) {
         logger.info(`⏳ Email too old (${emailAge.toFixed(1)} days): ${messageId}`);
         skipReason = `Too old (${emailAge.toFixed(1)} days)`;
-        isValidLinkedInEmail = false;
+        isValidApplicationEmail = false;
       }
 
-      // If not valid LinkedIn email, track and skip
-      if (!isValidLinkedInEmail) {
+      // If not a valid application email, track and skip
+      if (!isValidApplicationEmail) {
         this.stats.emailsSkipped++;
         await this.storage.markProcessed(messageId, 'skipped', {
           subject: message.subject,
@@ -208,8 +354,8 @@ class ApplicantProcessor {
         return;
       }
       
-      // Parse email data
-      const parsedData = this.parser.parseLinkedInApplication(message);
+      // Parse email data with the claiming source parser
+      const parsedData = this.parser.parseApplication(message, sourceParser);
       this.updateParsingStats(parsedData);
       
       if (!parsedData.name?.trim()) {
@@ -217,6 +363,7 @@ class ApplicantProcessor {
         this.stats.emailsSkipped++;
         await this.storage.markProcessed(messageId, 'skipped', {
           subject: message.subject,
+          source: parsedData.source,
           skipReason: 'No applicant name found',
           parsedData,
           timestamp: new Date().toISOString()
@@ -224,19 +371,38 @@ class ApplicantProcessor {
         return;
       }
       
-      logger.info(`👤 Processing applicant: ${parsedData.name}`);
+      logger.info(`👤 Processing ${parsedData.source} applicant: ${parsedData.name}`);
       
       // Process attachments (OCR + Drive upload)
       let resumeText = null;
+      let resumeSourceText = null;
       let resumeDriveLink = null;
       let processedAttachments = [];
+      let documents = [];
+      let resume = null;
+      const extractedTexts = new Map();
+      
+      // 🚀 NEW: Uploads go to <job>/<month>/<candidate> (CONFIG.DRIVE_FOLDER_TEMPLATE), resolved on first upload
+      const driveTarget = {
+        values: templateValues({
+          projectId: parsedData.project_id,
+          jobTitle: parsedData.title,
+          candidate: parsedData.name,
+          source: parsedData.source,
+          date: message.date
+        }),
+        folder: null
+      };
       
       if (message.attachments?.length > 0) {
         logger.info(`📎 Found ${message.attachments.length} attachment(s), processing each one...`);
         
-        for (const attachment of message.attachments) {
+        // 🚀 NEW: ZIP archives are replaced by the files inside them
+        const attachments = await this.expandArchives(message.attachments, messageId, processedAttachments);
+        
+        for (const attachment of attachments) {
           try {
-            logger.info(`📄 Processing attachment: ${attachment.filename} (${attachment.mimeType})`);
+            logger.info(`📄 Processing attachment: ${attachment.filename} (${attachment.mimeType})${attachment.archive ? ` from ${attachment.archive}` : ''}`);
             
             const canProcess = this.drive.canProcessFile(
               attachment.mimeType, 
@@ -246,66 +412,75 @@ class ApplicantProcessor {
             
             if (!canProcess.canProcess) {
               logger.warn(`⚠️ Skipping ${attachment.filename}: ${canProcess.reason}`);
+              if (canProcess.tooLarge) this.stats.largeFileStats.notUploaded++;
               processedAttachments.push({
                 filename: attachment.filename,
                 mimeType: attachment.mimeType,
+                archive: attachment.archive || null,
                 processed: false,
+                needsManualReview: Boolean(canProcess.tooLarge),
                 reason: canProcess.reason
               });
               continue;
             }
             
-            // Download attachment
-            const attachmentData = await this.gmail.downloadAttachment(
+            // Download attachment (local sources already carry the content)
+            const attachmentData = attachment.content || await this.mailSource.downloadAttachment(
               messageId, 
               attachment.attachmentId
             );
             
-            // Upload to Drive for backup
-            const driveLink = await this.drive.uploadFile(
-              attachmentData,
-              `${parsedData.name}_${attachment.filename}`,
-              attachment.mimeType
-            );
+            // 🚀 NEW: Identical bytes reuse the earlier Drive upload and extracted text (sha256 index)
+            const sha256 = crypto.createHash('sha256').update(attachmentData).digest('hex');
+            const indexed = await this.storage.getAttachmentByHash(sha256);
             
-            if (!resumeDriveLink) {
-              resumeDriveLink = driveLink;
-            }
+            // Upload to Drive for backup
+            const { driveLink, reused } = await this.drive.uploadOnce(attachmentData, attachment, driveTarget, { sha256, indexed });
+            this.stats.dedupStats[reused ? 'uploadsReused' : 'uploads']++;
             
             // Process with OCR if enabled
             if (CONFIG.ENABLE_OCR) {
-              logger.info(`🔍 Converting ${attachment.filename} to text...`);
-              
-              const ocrResult = await this.drive.convertFileToText(
-                attachmentData, 
-                attachment.filename, 
-                attachment.mimeType
-              );
+              const ocrResult = await this.drive.extractOnce(attachmentData, attachment, { sha256, indexed });
               
-              if (ocrResult.processed && ocrResult.length > 0) {
-                if (!resumeText || ocrResult.length > resumeText.length) {
-                  resumeText = ocrResult.text;
-                  logger.info(`📖 Using OCR result from ${attachment.filename}: ${ocrResult.length} characters`);
-                }
+              if (ocrResult.reused) {
+                this.stats.dedupStats.extractionsReused++;
+              } else {
+                // 🚀 NEW: local_pdf / local_docx / google_drive_ocr ... - how often the Drive round-trip is still needed
+                const method = ocrResult.method || 'failed';
+                this.stats.extractionStats[method] = (this.stats.extractionStats[method] || 0) + 1;
                 
-                this.stats.ocrSuccessful++;
+                // 🚀 NEW: Files over their extraction limit - uploaded, text partial or skipped
+                if (ocrResult.partial) this.stats.largeFileStats.partiallyExtracted++;
+                if (ocrResult.skipped) this.stats.largeFileStats.notExtracted++;
               }
               
-              processedAttachments.push({
+              const entry = {
                 filename: attachment.filename,
                 mimeType: attachment.mimeType,
+                archive: attachment.archive || null,
+                sha256,
                 processed: ocrResult.processed,
                 method: ocrResult.method || 'unknown',
+                reused: Boolean(ocrResult.reused),
                 length: ocrResult.length,
                 driveLink: driveLink,
+                needsManualReview: Boolean(ocrResult.partial || ocrResult.skipped),
                 reason: ocrResult.reason
-              });
+              };
+              processedAttachments.push(entry);
+              
+              if (ocrResult.processed && ocrResult.length > 0) {
+                extractedTexts.set(entry, { text: ocrResult.text, sourceText: ocrResult.originalText || ocrResult.text });
+                this.stats.ocrSuccessful++;
+              }
               
             } else {
               processedAttachments.push({
                 filename: attachment.filename,
                 mimeType: attachment.mimeType,
+                archive: attachment.archive || null,
                 processed: false,
+                sha256,
                 reason: 'OCR disabled',
                 driveLink: driveLink
               });
@@ -317,20 +492,37 @@ class ApplicantProcessor {
             processedAttachments.push({
               filename: attachment.filename,
               mimeType: attachment.mimeType,
+              archive: attachment.archive || null,
               processed: false,
               error: error.message
             });
           }
         }
         
+        // 🚀 NEW: Classify every attachment, then pick the resume by type - not by text length
+        documents = this.classifyAttachments(processedAttachments, extractedTexts, parsedData.name);
+        resume = chooseResume(documents);
+        
+        if (resume) {
+          resumeText = resume.text;
+          resumeSourceText = resume.sourceText;
+          resumeDriveLink = resume.entry.driveLink || null;
+          logger.info(`📖 Using ${resume.entry.filename} as the resume (${resume.classification.type}, ${resume.text?.length || 0} characters)`);
+        } else {
+          logger.warn(`⚠️ No attachment looks like a resume for ${parsedData.name}`);
+        }
+        
         const successfulOCR = processedAttachments.filter(a => a.processed).length;
         const totalAttachments = processedAttachments.length;
         
         logger.info(`📊 Attachment processing summary: ${successfulOCR}/${totalAttachments} successfully processed`);
       }
       
+      // 🚀 NEW: Provenance of the contact fields (regex email hit, GPT output)
+      const contactProvenance = {};
+      
       // 🚀 FIXED: Extract email from multiple sources including hyperlinks
-      let applicantEmail = this.extractApplicantEmail(message, resumeText);
+      let applicantEmail = this.extractApplicantEmail(message, resumeText, contactProvenance);
       
       if (!applicantEmail) {
         logger.warn(`⚠️ No email found for applicant: ${parsedData.name}`);
@@ -340,6 +532,7 @@ class ApplicantProcessor {
           skipReason: 'No email found',
           applicantName: parsedData.name,
           attachmentsSummary: processedAttachments,
+          manualReview: this.manualReviewNotes(processedAttachments),
           timestamp: new Date().toISOString()
         });
         return;
@@ -348,10 +541,17 @@ class ApplicantProcessor {
       // Extract contact info with GPT (only if we have resume text)
       let contactInfo = { mobile_number: null, email: applicantEmail, linkedin_url: null };
       
-      if (resumeText && CONFIG.ENABLE_GPT) {
+      // 🚀 NEW: Profile mode asks for the contact fields and the profile in one call; if that reply
+      // never validates, fall back to the contact-only prompt
+      let llmProfile = null;
+      
+      if (resumeText && await this.llmAvailable()) {
         try {
           logger.info(`🤖 Extracting contact info with GPT...`);
-          const gptContactInfo = await this.openai.extractContactInfo(resumeText);
+          if (CONFIG.GPT_EXTRACTION_MODE === 'profile') {
+            llmProfile = await this.llm.extractProfile(resumeText);
+          }
+          const gptContactInfo = llmProfile || await this.llm.extractContactInfo(resumeText);
           
           // Merge GPT results with email we already found
           contactInfo = {
@@ -360,6 +560,19 @@ class ApplicantProcessor {
             linkedin_url: gptContactInfo.linkedin_url || null
           };
           
+          if (gptContactInfo.email) {
+            const agrees = gptContactInfo.email.toLowerCase().trim() === applicantEmail;
+            contactProvenance.email = agrees
+              ? createProvenance('GPT', 'resume text, agrees with email regex', 0.95)
+              : createProvenance('GPT', 'resume text');
+          }
+          if (gptContactInfo.mobile_number) {
+            contactProvenance.mobile_number = createProvenance('GPT', 'resume text');
+          }
+          if (gptContactInfo.linkedin_url) {
+            contactProvenance.linkedin_url = createProvenance('GPT', 'resume text');
+          }
+          
           logger.info(`📞 Contact info extracted:`, contactInfo);
         } catch (error) {
           logger.error(`❌ GPT extraction failed:`, error.message);
@@ -368,19 +581,85 @@ class ApplicantProcessor {
       
       // 🚀 REMOVED: Duplicate applicant check - we only check message ID now
       
+      // 🚀 NEW: Per-field provenance + the weakest field's confidence for review filtering
+      const fieldProvenance = { ...parsedData.field_provenance, ...contactProvenance };
+      const { confidence, lowConfidenceFields } = summarizeProvenance(fieldProvenance);
+      this.updateProvenanceStats(fieldProvenance, lowConfidenceFields);
+      
+      if (lowConfidenceFields.length > 0) {
+        logger.info(`🔎 Low-confidence fields for ${parsedData.name}: ${lowConfidenceFields.join(', ')}`);
+      }
+      
+      // 🚀 NEW: Section-level resume records (line breaks matter, so parse the unformatted text)
+      const resumeProfile = this.parseResume(resumeSourceText, parsedData.name);
+      const skillMatch = this.matchSkills(resumeProfile, resumeSourceText, parsedData);
+      const candidateProfile = this.buildCandidateProfile(resumeProfile, resumeSourceText, parsedData, llmProfile);
+      const fit = await this.scoreFit(parsedData, resumeText, candidateProfile.profile, skillMatch);
+      const llmUsage = this.llm ? this.llm.usageSince(llmUsageStart) : emptyUsage();
+      
+      const coverLetter = firstOfType(documents, 'cover_letter', resume);
+      const resumeSha256 = resume?.entry.sha256 || null;
+      const sameResumeAs = await this.findSameResume(resumeSha256, contactInfo.email, parsedData.name);
+      const portfolio = firstOfType(documents, 'portfolio', resume);
+      
       // Prepare applicant data
       const applicantData = {
         email: contactInfo.email,
         name: parsedData.name.trim(),
         title: parsedData.title || null,
         location: parsedData.location || null,
+        location_details: parsedData.location_details || null,
+        location_city: parsedData.location_details?.city || null,
+        location_region: parsedData.location_details?.region || null,
+        location_country_code: parsedData.location_details?.country_code || null,
+        work_mode: parsedData.location_details?.work_mode || null,
+        location_recognized: parsedData.location_details ? parsedData.location_details.recognized : null,
         expected_compensation: parsedData.expected_compensation || null,
         project_id: parsedData.project_id || null,
         screening_questions: parsedData.screening_questions || null,
+        screening_answers: parsedData.screening_answers || [],
+        compensation: parsedData.compensation || [],
+        expected_compensation_annual: expectedCompensation(parsedData.compensation)?.annual_amount ?? null,
+        current_compensation_annual: findCompensation(parsedData.compensation, 'current')?.annual_amount ?? null,
+        compensation_currency: (expectedCompensation(parsedData.compensation) || findCompensation(parsedData.compensation, 'current'))?.currency || null,
+        source: parsedData.source,
         resume_raw_text: resumeText || null,
+        resume_profile: resumeProfile,
+        resume_experience_years: resumeProfile?.total_experience_years ?? null,
+        ...candidateProfile.profile,
+        skills: skillMatch.skills,
+        skill_match: skillMatch,
+        required_skill_coverage: skillMatch.required_coverage,
+        fit_score: fit?.score ?? null,
+        fit_rationale: fit?.rationale || null,
+        fit_red_flags: fit?.red_flags || [],
+        fit_job_key: fit?.job_key || null,
+        llm_calls: llmUsage.calls,
+        llm_prompt_tokens: llmUsage.promptTokens,
+        llm_completion_tokens: llmUsage.completionTokens,
+        llm_cost_usd: this.llm?.price ? llmUsage.costUsd : null,
         resume_drive_link: resumeDriveLink || null,
+        cover_letter_text: coverLetter?.text || null,
+        cover_letter_drive_link: coverLetter?.entry.driveLink || null,
+        portfolio_text: portfolio?.text || null,
+        portfolio_drive_link: portfolio?.entry.driveLink || null,
+        attachments: documents.map(document => ({
+          filename: document.entry.filename,
+          mime_type: document.entry.mimeType,
+          archive: document.entry.archive || null,
+          sha256: document.entry.sha256 || null,
+          type: document.classification.type,
+          is_resume: document === resume,
+          drive_link: document.entry.driveLink || null,
+          text_length: document.text?.length || 0
+        })),
+        resume_sha256: resumeSha256,
+        same_resume_as: sameResumeAs,
         mobile_number: contactInfo.mobile_number || null,
         linkedin_url: contactInfo.linkedin_url || null,
+        field_provenance: { ...fieldProvenance, ...candidateProfile.provenance },
+        confidence,
+        low_confidence_fields: lowConfidenceFields,
         processed_at: new Date().toISOString()
       };
       
@@ -401,8 +680,11 @@ class ApplicantProcessor {
         applicantEmail: contactInfo.email,
         applicantName: parsedData.name,
         projectId: parsedData.project_id,
+        source: parsedData.source,
+        referredBy: parsedData.referred_by || null,
         processingTimeMs: Date.now() - startTime,
         attachmentsSummary: processedAttachments,
+        manualReview: this.manualReviewNotes(processedAttachments),
         ocrSuccessful: processedAttachments.filter(a => a.processed).length,
         gptProcessed: !!contactInfo.email,
         timestamp: new Date().toISOString()
@@ -436,12 +718,12 @@ class ApplicantProcessor {
   }
 
   // 🚀 NEW: Enhanced email extraction method
-  extractApplicantEmail(message, resumeText = null) {
+  extractApplicantEmail(message, resumeText = null, provenance = null) {
     const sources = [
-      message.body,
-      message.htmlBody,
-      resumeText
-    ].filter(Boolean);
+      ['body', message.body],
+      ['htmlBody', message.htmlBody],
+      ['resume text', resumeText]
+    ].filter(([, text]) => Boolean(text));
 
     const emailPatterns = [
       // 🚀 CRITICAL: Hyperlink email extraction
@@ -460,10 +742,8 @@ class ApplicantProcessor {
       /\[([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})\]/g
     ];
 
-    for (const source of sources) {
-      if (!source) continue;
-      
-      for (const pattern of emailPatterns) {
+    for (const [sourceLabel, source] of sources) {
+      for (const [patternIndex, pattern] of emailPatterns.entries()) {
         let match;
         pattern.lastIndex = 0; // Reset regex state
         
@@ -472,6 +752,9 @@ class ApplicantProcessor {
           
           if (this.isValidEmail(email)) {
             logger.info(`📧 Email extracted from source: ${email}`);
+            if (provenance) {
+              provenance.email = patternProvenance(sourceLabel, `pattern ${patternIndex + 1}`, patternIndex);
+            }
             return email.toLowerCase().trim();
           }
         }
@@ -505,13 +788,278 @@ class ApplicantProcessor {
     return !excludePatterns.some(pattern => pattern.test(email));
   }
   
+  // 🚀 NEW: How often each field:source/rule wins - shows which patterns do the work (or misfire)
+  updateProvenanceStats(fieldProvenance, lowConfidenceFields) {
+    for (const [field, record] of Object.entries(fieldProvenance)) {
+      const key = `${field}: ${record.source} / ${record.rule}`;
+      this.stats.provenanceStats[key] = (this.stats.provenanceStats[key] || 0) + 1;
+    }
+    
+    if (lowConfidenceFields.length > 0) {
+      this.stats.lowConfidenceApplicants++;
+    }
+  }
+  
   updateParsingStats(parsedData) {
+    this.stats.sourceStats[parsedData.source] = (this.stats.sourceStats[parsedData.source] || 0) + 1;
     if (parsedData.name) this.stats.parsingSuccessRate.name++;
     if (parsedData.title) this.stats.parsingSuccessRate.title++;
     if (parsedData.location) this.stats.parsingSuccessRate.location++;
     if (parsedData.expected_compensation) this.stats.parsingSuccessRate.compensation++;
     if (parsedData.project_id) this.stats.parsingSuccessRate.projectId++;
     if (parsedData.screening_questions) this.stats.parsingSuccessRate.screeningQuestions++;
+    this.updateLocationStats(parsedData.location_details);
+  }
+  
+  // 🚀 NEW: Where applicants come from - unknown places are counted, not dropped
+  updateLocationStats(details) {
+    if (!details) return;
+    
+    const { locationStats } = this.stats;
+    const increment = (bucket, key) => { bucket[key] = (bucket[key] || 0) + 1; };
+    
+    if (details.work_mode) increment(locationStats.byWorkMode, details.work_mode);
+    
+    if (!details.recognized) {
+      if (!details.work_mode) locationStats.unrecognized++;
+      return;
+    }
+    
+    increment(locationStats.byCountry, details.country_code);
+    if (details.city) increment(locationStats.byCity, `${details.city}, ${details.country_code}`);
+  }
+  
+  // 🚀 NEW: Attachments a recruiter has to open themselves (too large to read in full, or to upload)
+  manualReviewNotes(processedAttachments) {
+    const notes = processedAttachments
+      .filter(attachment => attachment.needsManualReview)
+      .map(attachment => ({
+        filename: attachment.filename,
+        reason: attachment.reason,
+        driveLink: attachment.driveLink || null
+      }));
+    
+    for (const note of notes) {
+      logger.info(`👀 Manual review needed for ${note.filename}: ${note.reason}`);
+    }
+    
+    return notes;
+  }
+  
+  // 🚀 NEW: The same resume file sent by a different applicant email - often one person, two addresses
+  async findSameResume(resumeSha256, email, applicantName) {
+    if (!resumeSha256) return [];
+    
+    const matches = await this.storage.getApplicantsByResumeHash(resumeSha256, email);
+    if (matches.length === 0) return [];
+    
+    this.stats.dedupStats.sameResumeDifferentApplicant++;
+    logger.warn(`👯 ${applicantName} (${email}) sent the same resume as: ${matches.map(match => `${match.name} <${match.email}>`).join(', ')}`);
+    return matches.map(match => match.email);
+  }
+  
+  // 🚀 NEW: The attachment list with every ZIP swapped for the files inside it. Skipped entries and
+  // unreadable archives are recorded in processedAttachments like any other skipped attachment.
+  async expandArchives(attachments, messageId, processedAttachments) {
+    const expanded = [];
+    
+    for (const attachment of attachments) {
+      if (!this.archiveExtractor.isArchive(attachment.mimeType, attachment.filename)) {
+        expanded.push(attachment);
+        continue;
+      }
+      
+      this.stats.archiveStats.archives++;
+      
+      try {
+        const archiveData = attachment.content || await this.mailSource.downloadAttachment(
+          messageId,
+          attachment.attachmentId
+        );
+        const { files, skipped } = this.archiveExtractor.extract(archiveData, attachment.filename);
+        
+        this.stats.archiveStats.filesExtracted += files.length;
+        this.stats.archiveStats.entriesSkipped += skipped.length;
+        
+        for (const file of files) {
+          expanded.push({
+            filename: file.filename,
+            mimeType: file.mimeType,
+            size: file.size,
+            content: file.content,
+            archive: attachment.filename,
+            archivePath: file.path
+          });
+        }
+        
+        for (const entry of skipped) {
+          processedAttachments.push({
+            filename: entry.path,
+            mimeType: null,
+            archive: attachment.filename,
+            processed: false,
+            reason: entry.reason
+          });
+        }
+      } catch (error) {
+        this.stats.archiveStats.failed++;
+        logger.error(`❌ Could not unpack ${attachment.filename}:`, error.message);
+        
+        processedAttachments.push({
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          archive: null,
+          processed: false,
+          error: error.message
+        });
+      }
+    }
+    
+    return expanded;
+  }
+  
+  // 🚀 NEW: { entry, text, sourceText, classification } per attachment; the type is also noted on
+  // the attachment summary kept in processed_messages
+  classifyAttachments(processedAttachments, extractedTexts, applicantName = null) {
+    return processedAttachments.map(entry => {
+      const extracted = extractedTexts.get(entry) || {};
+      const classification = this.attachmentClassifier.classify({
+        filename: entry.filename,
+        text: extracted.sourceText || null,
+        applicantName
+      });
+      
+      entry.type = classification.type;
+      this.stats.attachmentTypeStats[classification.type] = (this.stats.attachmentTypeStats[classification.type] || 0) + 1;
+      logger.info(`🗂️ ${entry.filename}: ${classification.type}${classification.signals.length > 0 ? ` (${classification.signals.join('; ')})` : ''}`);
+      
+      return {
+        entry,
+        text: extracted.text || null,
+        sourceText: extracted.sourceText || null,
+        classification
+      };
+    });
+  }
+  
+  // 🚀 NEW: A resume that won't parse is logged and skipped - the applicant is still stored
+  parseResume(text, applicantName) {
+    if (!text) return null;
+    
+    try {
+      const profile = this.resumeParser.parse(text);
+      if (!profile) return null;
+      
+      const { resumeStats } = this.stats;
+      resumeStats.parsed++;
+      if (profile.experience.length > 0) resumeStats.withExperience++;
+      if (profile.education.length > 0) resumeStats.withEducation++;
+      if (profile.skills.length > 0) resumeStats.withSkills++;
+      
+      logger.info(`📑 Resume sections for ${applicantName}: ${profile.experience.length} role(s), ${profile.total_experience_years ?? '?'} years, ${profile.skills.length} skill(s)`);
+      return profile;
+    } catch (error) {
+      logger.warn(`⚠️ Resume section parsing failed for ${applicantName}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // 🚀 NEW: Applicant skills (taxonomy names) against the job's required / nice-to-have skills
+  matchSkills(resumeProfile, resumeText, parsedData) {
+    const skills = this.skillMatcher.collectSkills({ listed: resumeProfile?.skills, text: resumeText });
+    const report = this.skillMatcher.match(skills, parsedData.project_id);
+    const { skillMatchStats } = this.stats;
+    
+    if (report.configured) {
+      skillMatchStats.matchedJobs++;
+      if (report.missing_required.length === 0) skillMatchStats.allRequiredMet++;
+      logger.info(`🧠 Skill match for ${parsedData.name}: ${report.matched_required.length}/${report.matched_required.length + report.missing_required.length} required, ${report.matched_nice_to_have.length} nice-to-have${report.missing_required.length > 0 ? ` (missing: ${report.missing_required.join(', ')})` : ''}`);
+    } else if (parsedData.project_id) {
+      skillMatchStats.unconfiguredJobs[parsedData.project_id] = (skillMatchStats.unconfiguredJobs[parsedData.project_id] || 0) + 1;
+    }
+    
+    return report;
+  }
+  
+  // 🚀 NEW: Current role, experience, notice period, degree, skills, links and summary - regex and
+  // screening-answer values win when confident enough, the LLM profile (if any) fills the rest
+  buildCandidateProfile(resumeProfile, resumeText, parsedData, llmProfile) {
+    const canonicalize = name => this.skillMatcher.canonicalize(name);
+    const regexFound = regexProfile({
+      resumeProfile,
+      screeningAnswers: parsedData.screening_answers || [],
+      resumeText,
+      canonicalize
+    });
+    const merged = mergeProfile(regexFound, llmProfile, { canonicalize });
+    
+    const { profileStats } = this.stats;
+    for (const [field, record] of Object.entries(merged.provenance)) {
+      const bucket = record.source === 'GPT' ? 'fromLLM' : 'fromRegex';
+      profileStats[bucket][field] = (profileStats[bucket][field] || 0) + 1;
+    }
+    if (llmProfile) profileStats.llmProfiles++;
+    
+    return merged;
+  }
+  
+  // 🚀 NEW: Optional LLM fit score against the description for the applicant's project_id / job title.
+  // Off, no resume text, no job description or a failed reply all mean null - nothing is blocked.
+  async scoreFit(parsedData, resumeText, profile, skillMatch) {
+    if (!CONFIG.ENABLE_FIT_SCORING || !resumeText) return null;
+    
+    const { fitScoreStats } = this.stats;
+    const job = await this.jobDescriptions.find({ projectId: parsedData.project_id, title: parsedData.title });
+    
+    if (!job) {
+      const key = parsedData.project_id || parsedData.title || 'unknown';
+      fitScoreStats.noJobDescription[key] = (fitScoreStats.noJobDescription[key] || 0) + 1;
+      logger.info(`🎯 No job description for ${key} - fit score skipped`);
+      return null;
+    }
+    
+    if (!(await this.llmAvailable())) return null;
+    
+    const fit = await this.llm.scoreFit({
+      jobTitle: job.title || parsedData.title,
+      jobDescription: job.text,
+      candidate: this.describeCandidate(parsedData, profile, skillMatch),
+      resumeText
+    });
+    
+    if (!fit) {
+      fitScoreStats.failed++;
+      return null;
+    }
+    
+    fitScoreStats.scored++;
+    logger.info(`🎯 Fit score for ${parsedData.name} (${job.key}): ${fit.score}/100${fit.red_flags.length > 0 ? `, red flags: ${fit.red_flags.join('; ')}` : ''}`);
+    return { ...fit, job_key: job.key };
+  }
+  
+  // What we already parsed, as "Label: value" lines for the fit prompt (no name or contact details)
+  describeCandidate(parsedData, profile, skillMatch) {
+    const lines = [
+      ['Location', parsedData.location],
+      ['Current role', [profile.current_title, profile.current_employer].filter(Boolean).join(' at ')],
+      ['Total experience (years)', profile.total_experience_years],
+      ['Notice period', profile.notice_period],
+      ['Highest degree', profile.highest_degree],
+      ['Skills', skillMatch.skills.join(', ')],
+      ['Expected compensation', parsedData.expected_compensation],
+      ...(parsedData.screening_answers || []).map(({ question, answer }) => [question, answer])
+    ];
+    
+    return lines
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([label, value]) => `${label}: ${value}`)
+      .join('\n') || 'No structured details.';
+  }
+  
+  // 🚀 MODIFIED: ENABLE_GPT and today's spend (UTC) under LLM_DAILY_SPEND_CAP_USD. LLMService checks
+  // the cap again before every call, so a retry or fallback inside a stage cannot pass it.
+  async llmAvailable() {
+    return Boolean(this.llm) && await this.llm.withinBudget();
   }
   
   // Enhanced generateEnhancedReport method
@@ -519,6 +1067,7 @@ class ApplicantProcessor {
     try {
       const endTime = new Date();
       const duration = (endTime - this.stats.startTime) / 1000;
+      this.stats.llmBudgetStats.skippedCalls = this.llm?.budget.skippedCalls ?? 0;
       
       // Get comprehensive stats from both tables
       const processedStats = await this.storage.getProcessedStats();
@@ -537,6 +1086,17 @@ class ApplicantProcessor {
         applicantStats: applicantStats,
         recentlyProcessed,
         
+        // 🚀 NEW: LLM reply validation per task - retries, repaired replies, failures, invalid fields
+        llmStats: {
+          provider: CONFIG.LLM_PROVIDER,
+          model: this.llm?.provider.model ?? null,
+          tasks: this.llm?.metrics ?? {},
+          // 🚀 NEW: Tokens and cost this run (per task under tasks.<task>.usage)
+          price: this.llm?.price ?? null,
+          usage: this.llm?.usage ?? emptyUsage(),
+          spentTodayUsd: this.llm?.budget.day ? Math.round(this.llm.budget.spentUsd * 1e6) / 1e6 : null
+        },
+        
         // Message tracking metrics
         trackingMetrics: {
           messagesTracked: processedStats.total,
@@ -565,12 +1125,53 @@ class ApplicantProcessor {
       
       // Enhanced logging
       logger.info('📊 ===== ENHANCED PROCESSING SUMMARY =====');
+      logger.info(`🔁 Sync mode: ${this.stats.syncMode}`);
       logger.info(`🔥 Total emails found: ${this.stats.emailsFound}`);
       logger.info(`✅ Emails processed: ${this.stats.emailsProcessed}`);
       logger.info(`⏭️ Emails skipped: ${this.stats.emailsSkipped}`);
       logger.info(`❌ Errors encountered: ${this.stats.emailsErrored}`);
       logger.info(`👥 New applicants created: ${this.stats.applicantsCreated}`);
       logger.info(`🔄 Duplicates found: ${this.stats.duplicatesFound}`);
+      logger.info(`🏷️ Applications by source: ${JSON.stringify(this.stats.sourceStats)}`);
+      logger.info(`📖 Resume text extraction methods: ${JSON.stringify(this.stats.extractionStats)}`);
+      logger.info(`🗂️ Attachment types: ${JSON.stringify(this.stats.attachmentTypeStats)}`);
+      logger.info(`♻️ Deduplication: ${this.stats.dedupStats.uploads} uploads, ${this.stats.dedupStats.uploadsReused} reused Drive files, ${this.stats.dedupStats.extractionsReused} reused extractions, ${this.stats.dedupStats.sameResumeDifferentApplicant} resumes seen under another applicant`);
+      const largeFiles = this.stats.largeFileStats;
+      if (largeFiles.partiallyExtracted + largeFiles.notExtracted + largeFiles.notUploaded > 0) {
+        logger.info(`📦 Large files: ${largeFiles.partiallyExtracted} read from the first pages only, ${largeFiles.notExtracted} uploaded without text, ${largeFiles.notUploaded} too large to upload`);
+      }
+      if (this.llm) {
+        const llmUsage = this.llm.usage;
+        logger.info(`🪙 LLM usage: ${llmUsage.calls} calls, ${llmUsage.promptTokens} prompt + ${llmUsage.completionTokens} completion tokens, ${this.llm.price ? `$${llmUsage.costUsd.toFixed(4)}` : 'cost unknown (no LLM_PRICING entry)'} (${this.llm.provider.model})`);
+        if (CONFIG.LLM_DAILY_SPEND_CAP_USD > 0 && this.llm.budget.day) {
+          logger.info(`💸 LLM spend on ${this.llm.budget.day}: $${this.llm.budget.spentUsd.toFixed(4)} of $${CONFIG.LLM_DAILY_SPEND_CAP_USD} cap${this.stats.llmBudgetStats.skippedCalls > 0 ? `, ${this.stats.llmBudgetStats.skippedCalls} LLM call(s) skipped` : ''}`);
+        }
+        for (const [task, metrics] of Object.entries(this.llm.metrics)) {
+          const invalidFields = Object.entries(metrics.invalidFields).map(([field, count]) => `${field} ${count}`).join(', ');
+          logger.info(`🤖 LLM ${task}: ${metrics.calls} calls, ${metrics.retries} retried, ${metrics.repaired} repaired, ${metrics.failed} failed, ${metrics.skipped} skipped (spend cap), ${metrics.usage.totalTokens} tokens${invalidFields ? `, invalid fields: ${invalidFields}` : ''}`);
+          if (metrics.failed > 0) {
+            logger.warn(`⚠️ LLM ${task} failures: ${JSON.stringify(metrics.failures)}`);
+          }
+        }
+      }
+      if (this.stats.archiveStats.archives > 0) {
+        logger.info(`🗜️ ZIP archives: ${this.stats.archiveStats.archives} (${this.stats.archiveStats.filesExtracted} files unpacked, ${this.stats.archiveStats.entriesSkipped} entries skipped, ${this.stats.archiveStats.failed} unreadable)`);
+      }
+      logger.info(`🔎 Applicants with low-confidence fields: ${this.stats.lowConfidenceApplicants}`);
+      logger.info(`🗺️ Applicants by country: ${JSON.stringify(this.stats.locationStats.byCountry)}`);
+      logger.info(`🏙️ Applicants by city: ${JSON.stringify(this.stats.locationStats.byCity)}`);
+      logger.info(`🏠 Work mode: ${JSON.stringify(this.stats.locationStats.byWorkMode)} (unrecognised locations: ${this.stats.locationStats.unrecognized})`);
+      logger.info(`📑 Resumes parsed into sections: ${this.stats.resumeStats.parsed} (experience: ${this.stats.resumeStats.withExperience}, education: ${this.stats.resumeStats.withEducation}, skills: ${this.stats.resumeStats.withSkills})`);
+      logger.info(`🧠 Skill matches: ${this.stats.skillMatchStats.matchedJobs} against configured jobs, ${this.stats.skillMatchStats.allRequiredMet} with every required skill`);
+      if (Object.keys(this.stats.skillMatchStats.unconfiguredJobs).length > 0) {
+        logger.info(`🧠 Jobs without skill requirements in ${CONFIG.SKILLS_CONFIG_PATH}: ${JSON.stringify(this.stats.skillMatchStats.unconfiguredJobs)}`);
+      }
+      if (CONFIG.ENABLE_FIT_SCORING) {
+        logger.info(`🎯 Fit scores: ${this.stats.fitScoreStats.scored} scored, ${this.stats.fitScoreStats.failed} failed${Object.keys(this.stats.fitScoreStats.noJobDescription).length > 0 ? `, no job description for ${JSON.stringify(this.stats.fitScoreStats.noJobDescription)}` : ''}`);
+      }
+      if (CONFIG.GPT_EXTRACTION_MODE === 'profile') {
+        logger.info(`🪪 Candidate profiles from the LLM: ${this.stats.profileStats.llmProfiles} (fields from LLM: ${JSON.stringify(this.stats.profileStats.fromLLM)}, from regex: ${JSON.stringify(this.stats.profileStats.fromRegex)})`);
+      }
       
       // Dual table tracking stats
       logger.info('📝 ===== DUAL TABLE TRACKING STATS =====');
@@ -587,6 +1188,7 @@ class ApplicantProcessor {
       logger.info(`🔗 With LinkedIn URLs: ${applicantStats.withLinkedIn}`);
       logger.info(`📄 With resume links: ${applicantStats.withResume}`);
       logger.info(`📧 With message IDs: ${applicantStats.withMessageId}`);
+      logger.info(`🗺️ By country (all time): ${JSON.stringify(applicantStats.byCountry)}`);
       
       // Key metrics
       logger.info('🎯 ===== KEY METRICS =====');
@@ -638,8 +1240,12 @@ async function main() {
     logger.info(`   Dry Run: ${CONFIG.DRY_RUN}`);
     logger.info(`   Batch Size: ${CONFIG.BATCH_SIZE}`);
     logger.info(`   Max Email Age: ${CONFIG.MAX_EMAIL_AGE_DAYS} days`);
+    logger.info(`   Mail Source: ${CONFIG.MAIL_SOURCE}`);
+    logger.info(`   Gmail Sync Mode: ${CONFIG.GMAIL_SYNC_MODE}`);
     logger.info(`   OCR Enabled: ${CONFIG.ENABLE_OCR}`);
+    logger.info(`   OCR Backend: ${CONFIG.OCR_BACKEND} (${CONFIG.OCR_LANGUAGE})`);
     logger.info(`   GPT Enabled: ${CONFIG.ENABLE_GPT}`);
+    logger.info(`   LLM Provider: ${CONFIG.LLM_PROVIDER} (${CONFIG.LLM_PROVIDERS[CONFIG.LLM_PROVIDER]?.model || 'no model set'})`);
     logger.info(`   Authentication: OAuth2`);
     logger.info(`   Main Table: ${CONFIG.TABLE_NAME}`);
     logger.info(`   Tracking Table: ${CONFIG.PROCESSED_MESSAGES_TABLE}`);
@@ -666,7 +1272,7 @@ async function main() {
     logger.error('   3. Verify Google Sheet and Drive folder permissions');
     logger.error('   4. Ensure refresh token is valid and not expired');
     logger.error('   5. Check Supabase database and tables exist');
-    logger.error('   6. Verify OpenAI API key has sufficient credits');
+    logger.error('   6. Verify the LLM provider settings (OpenAI credits, Azure deployment or local server URL)');
     
     process.exit(1);
   }
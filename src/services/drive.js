@@ -2,32 +2,137 @@
 import { google } from 'googleapis';
 import { CONFIG } from '../config.js';
 import { createLogger } from '../utils/logger.js';
+import { OCRService } from '../utils/ocr.js';
+import { TempDocJournal } from '../utils/ocr-journal.js';
+import { LocalTextExtractor } from '../utils/text-extractor.js';
 import { OAuth2AuthService } from './oauth-auth.js';
 
 const logger = createLogger();
 
+const OCR_BACKENDS = ['local', 'drive', 'local-then-drive'];
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const MISSING_SEGMENT = 'Unassigned';
+
+// Drive OCR temp docs: ocr_<timestamp>_<attachment name>
+const OCR_TEMP_PREFIX = 'ocr_';
+const OCR_TEMP_NAME = /^ocr_\d+_/;
+const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+
+// "{project_id|job_title}/{YYYY-MM}" → "3912345678/2026-10". Alternatives separated by | are
+// tried in order; a placeholder with no value renders as an empty string.
+export function renderTemplate(template, values) {
+  return template.replace(/\{([^{}]+)\}/g, (placeholder, names) => {
+    for (const name of names.split('|').map(part => part.trim())) {
+      const value = values[name];
+      if (value !== null && value !== undefined && String(value).trim()) return String(value).trim();
+    }
+    return '';
+  });
+}
+
+// Values for the folder / file name templates of one application
+export function templateValues({ projectId = null, jobTitle = null, candidate = null, source = null, date = null, filename = null }) {
+  const when = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const YYYY = String(when.getFullYear());
+  const MM = String(when.getMonth() + 1).padStart(2, '0');
+  const DD = String(when.getDate()).padStart(2, '0');
+
+  return {
+    project_id: projectId,
+    job_title: jobTitle,
+    candidate,
+    source,
+    filename,
+    YYYY,
+    MM,
+    DD,
+    'YYYY-MM': `${YYYY}-${MM}`,
+    'YYYY-MM-DD': `${YYYY}-${MM}-${DD}`
+  };
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)}KB` : `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+function cleanName(name) {
+  return name.replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_').replace(/\s+/g, ' ').trim();
+}
+
+// `npm run sweep:ocr` arguments → sweepTempDocs options
+export function parseSweepArgs(argv) {
+  const options = { dryRun: false, olderThanHours: CONFIG.OCR_TEMP_DOC_MAX_AGE_HOURS };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--older-than=')) {
+      const hours = parseFloat(arg.slice('--older-than='.length));
+      if (!(hours >= 0)) throw new Error(`Invalid --older-than value: ${arg}`);
+      options.olderThanHours = hours;
+    } else {
+      throw new Error(`Unknown argument: ${arg} (expected --dry-run, --older-than=<hours>)`);
+    }
+  }
+
+  return options;
+}
+
+// https://drive.google.com/file/d/<id>/view → <id>
+export function driveFileId(link) {
+  return link?.match(/\/file\/d\/([^/?]+)/)?.[1] || null;
+}
+
 export class DriveService {
-  constructor() {
-    this.authService = new OAuth2AuthService();
+  // storage: StorageManager, for the attachment hash index and the Supabase-backed OCR temp doc journal
+  // client: a ready Drive API client (tests); built from the OAuth2 credentials when omitted
+  // journal: the OCR temp doc journal; a TempDocJournal for OCR_JOURNAL_STORE when omitted
+  // ocr / ocrBackend: the local OCR engine (an OCRService when omitted) and CONFIG.OCR_BACKEND
+  constructor({ storage = null, client = null, journal = null, ocr = null, ocrBackend = CONFIG.OCR_BACKEND } = {}) {
+    this.client = client;
+    this.storage = storage;
+    this.authService = client ? null : new OAuth2AuthService();
+    this.localExtractor = new LocalTextExtractor();
+    this.ocr = ocr || new OCRService();
+    
+    // 🚀 NEW: "<parentId>/<name>" → Promise<folderId>, so each sub-folder is looked up once per run
+    this.folderCache = new Map();
+    
+    // 🚀 NEW: Drive OCR temp docs not yet deleted, so an interrupted run is cleaned up next start
+    this.tempDocJournal = journal || new TempDocJournal({ storage });
+    
+    // 🚀 NEW: Where scans and images get OCR'd
+    this.ocrBackend = OCR_BACKENDS.includes(ocrBackend) ? ocrBackend : 'local-then-drive';
+    if (this.ocrBackend !== ocrBackend) {
+      logger.warn(`⚠️ Unknown OCR_BACKEND "${ocrBackend}" - using ${this.ocrBackend}`);
+    }
     
     // Define supported formats for OCR
+    // 🚀 NEW: 'localText' formats are read in-process first and only go to Drive when they have no text layer
     this.supportedOCRFormats = {
-      'application/pdf': { extension: 'pdf', method: 'convertToDoc' },
+      'application/pdf': { extension: 'pdf', method: 'localText' },
       'image/jpeg': { extension: 'jpg', method: 'convertToDoc' },
       'image/jpg': { extension: 'jpg', method: 'convertToDoc' },
       'image/png': { extension: 'png', method: 'convertToDoc' },
       'image/gif': { extension: 'gif', method: 'convertToDoc' },
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extension: 'docx', method: 'convertToDoc' },
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extension: 'docx', method: 'localText' },
       'application/msword': { extension: 'doc', method: 'convertToDoc' },
       'text/plain': { extension: 'txt', method: 'directText' },
-      'application/rtf': { extension: 'rtf', method: 'convertToDoc' }
+      'application/rtf': { extension: 'rtf', method: 'localText' },
+      'text/rtf': { extension: 'rtf', method: 'localText' }
     };
   }
 
+  async getClient() {
+    if (this.client) return this.client;
+    const auth = await this.authService.getAuthClient();
+    return google.drive({ version: 'v3', auth });
+  }
+
   async testConnection() {
     try {
-      const auth = await this.authService.getAuthClient();
-      const drive = google.drive({ version: 'v3', auth });
+      const drive = await this.getClient();
       
       const folder = await drive.files.get({ 
         fileId: CONFIG.GOOGLE_DRIVE_FOLDER_ID,
@@ -37,6 +142,7 @@ export class DriveService {
       logger.info(`✅ Drive folder access successful: "${folder.data.name}"`);
       logger.info(`   Folder ID: ${CONFIG.GOOGLE_DRIVE_FOLDER_ID}`);
       logger.info(`   Supported OCR formats: ${Object.keys(this.supportedOCRFormats).length}`);
+      logger.info(`   OCR backend: ${this.ocrBackend}`);
       
       return true;
     } catch (error) {
@@ -49,6 +155,8 @@ export class DriveService {
     }
   }
 
+  // 🚀 MODIFIED: Only MAX_UPLOAD_SIZE stops a file. Over its per-MIME extraction limit it is still
+  // uploaded, with extraction 'partial' (PDFs: first LARGE_FILE_MAX_PAGES pages) or 'none'.
   canProcessFile(mimeType, filename, fileSize = 0) {
     if (!this.supportedOCRFormats[mimeType]) {
       return { 
@@ -58,32 +166,113 @@ export class DriveService {
       };
     }
 
-    const maxSize = 2 * 1024 * 1024; // 2MB in bytes
-    if (fileSize > maxSize) {
+    if (fileSize > CONFIG.MAX_UPLOAD_SIZE) {
       return { 
         canProcess: false, 
-        reason: `File too large: ${(fileSize / 1024 / 1024).toFixed(2)}MB (max: 2MB)`,
-        maxSize: '2MB'
+        tooLarge: true,
+        reason: `File too large: ${formatSize(fileSize)} (max upload: ${formatSize(CONFIG.MAX_UPLOAD_SIZE)})`,
+        maxSize: formatSize(CONFIG.MAX_UPLOAD_SIZE)
       };
     }
 
-    return { 
+    const plan = { 
       canProcess: true, 
       method: this.supportedOCRFormats[mimeType].method,
-      extension: this.supportedOCRFormats[mimeType].extension
+      extension: this.supportedOCRFormats[mimeType].extension,
+      extraction: 'full'
     };
+
+    const limit = this.extractionLimit(mimeType);
+    if (fileSize <= limit) return plan;
+
+    const reason = `${formatSize(fileSize)} is over the ${formatSize(limit)} text extraction limit for ${mimeType}`;
+    if (mimeType === 'application/pdf' && CONFIG.LARGE_FILE_MAX_PAGES > 0) {
+      return { ...plan, extraction: 'partial', maxPages: CONFIG.LARGE_FILE_MAX_PAGES, reason };
+    }
+
+    return { ...plan, extraction: 'none', reason };
   }
 
-  async uploadFile(fileBuffer, filename, mimeType = 'application/pdf') {
+  // Exact MIME type, then its "type/*" family, then MAX_ATTACHMENT_SIZE
+  extractionLimit(mimeType) {
+    const limits = CONFIG.ATTACHMENT_SIZE_LIMITS;
+    const key = (mimeType || '').toLowerCase();
+
+    return limits[key] ?? limits[`${key.split('/')[0]}/*`] ?? CONFIG.MAX_ATTACHMENT_SIZE;
+  }
+
+  // 🚀 NEW: Folder for one application from CONFIG.DRIVE_FOLDER_TEMPLATE, created on first use.
+  // Empty segments become "Unassigned"; an empty template keeps everything in the root folder.
+  async resolveFolder(values, template = CONFIG.DRIVE_FOLDER_TEMPLATE) {
+    const segments = (template || '')
+      .split('/')
+      .filter(segment => segment.trim())
+      .map(segment => cleanName(renderTemplate(segment, values)) || MISSING_SEGMENT);
+    
+    let folderId = CONFIG.GOOGLE_DRIVE_FOLDER_ID;
+    for (const name of segments) {
+      folderId = await this.ensureFolder(folderId, name);
+    }
+    
+    return folderId;
+  }
+  
+  // Predictable upload name from CONFIG.DRIVE_FILE_NAME_TEMPLATE, e.g. 2026-10-19_Priya_Sharma_CV.pdf
+  buildFileName(values, template = CONFIG.DRIVE_FILE_NAME_TEMPLATE) {
+    return cleanName(renderTemplate(template, values)).replace(/\s+/g, '_') || cleanName(values.filename || 'attachment');
+  }
+  
+  async ensureFolder(parentId, name) {
+    const cacheKey = `${parentId}/${name}`;
+    
+    if (!this.folderCache.has(cacheKey)) {
+      const lookup = this.findOrCreateFolder(parentId, name);
+      this.folderCache.set(cacheKey, lookup);
+      // A failed lookup is retried next time instead of being cached
+      lookup.catch(() => this.folderCache.delete(cacheKey));
+    }
+    
+    return this.folderCache.get(cacheKey);
+  }
+  
+  async findOrCreateFolder(parentId, name) {
     try {
-      const auth = await this.authService.getAuthClient();
-      const drive = google.drive({ version: 'v3', auth });
+      const drive = await this.getClient();
+      
+      const escapedName = name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+      const existing = await drive.files.list({
+        q: `'${parentId}' in parents and name = '${escapedName}' and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+        fields: 'files(id, name)',
+        pageSize: 1
+      });
+      
+      if (existing.data.files?.length > 0) {
+        return existing.data.files[0].id;
+      }
+      
+      const created = await drive.files.create({
+        requestBody: { name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] },
+        fields: 'id'
+      });
+      
+      logger.info(`📂 Created Drive folder: ${name} (${created.data.id})`);
+      return created.data.id;
+    } catch (error) {
+      throw new Error(`Drive folder "${name}" could not be created: ${error.message}`);
+    }
+  }
+  
+  // 🚀 NEW: sha256 is kept on the Drive file (appProperties) so the folder can be re-indexed
+  async uploadFile(fileBuffer, filename, mimeType = 'application/pdf', { sha256 = null, folderId = null } = {}) {
+    try {
+      const drive = await this.getClient();
       
       const cleanFilename = filename.replace(/[<>:"/\\|?*]/g, '_').replace(/\s+/g, '_');
       
       const fileMetadata = {
         name: cleanFilename,
-        parents: [CONFIG.GOOGLE_DRIVE_FOLDER_ID]
+        parents: [folderId || CONFIG.GOOGLE_DRIVE_FOLDER_ID],
+        ...(sha256 ? { appProperties: { sha256 } } : {})
       };
 
       const { Readable } = await import('stream');
@@ -113,6 +302,93 @@ export class DriveService {
     }
   }
 
+  // 🚀 NEW: Upload unless the same bytes are already in Drive - re-runs and repeat applications
+  // reuse the indexed link instead of piling up copies. `indexed` is the attachment_index row for
+  // `sha256`; `target` ({ values, folder }) is one message's folder, resolved on first upload.
+  // { driveLink, reused }
+  async uploadOnce(fileBuffer, attachment, target, { sha256, indexed = null }) {
+    if (indexed?.drive_file_id) {
+      try {
+        if (await this.fileExists(indexed.drive_file_id)) {
+          logger.info(`♻️ ${attachment.filename} is already in Drive as ${indexed.filename} (first seen ${indexed.first_seen_at}) - reusing the link`);
+          await this.storage?.updateAttachmentHash(sha256, {});
+          return { driveLink: indexed.drive_link, reused: true };
+        }
+        logger.info(`♻️ Indexed copy of ${attachment.filename} is no longer in Drive - uploading again`);
+      } catch (error) {
+        logger.warn(`⚠️ Could not check the indexed copy of ${attachment.filename}: ${error.message} - uploading again`);
+      }
+    }
+    
+    // One folder lookup per message; a Drive error there falls back to the root folder
+    target.folder ??= this.resolveFolder(target.values).catch(error => {
+      logger.warn(`⚠️ Could not resolve the Drive folder, uploading to the root folder: ${error.message}`);
+      return null;
+    });
+    
+    const driveLink = await this.uploadFile(
+      fileBuffer,
+      this.buildFileName({ ...target.values, filename: attachment.filename }),
+      attachment.mimeType,
+      { sha256, folderId: await target.folder }
+    );
+    
+    await this.storage?.saveAttachmentHash({
+      sha256,
+      drive_file_id: driveFileId(driveLink),
+      drive_link: driveLink,
+      filename: attachment.filename,
+      mime_type: attachment.mimeType,
+      size: fileBuffer.length
+    });
+    
+    return { driveLink, reused: false };
+  }
+  
+  // 🚀 NEW: convertFileToText, or the text indexed for the same bytes (`reused: true`). Full results
+  // are indexed; first-pages text isn't, so a later run with higher limits reads the whole file.
+  async extractOnce(fileBuffer, attachment, { sha256, indexed = null }) {
+    if (indexed?.extracted_text) {
+      const originalText = indexed.original_text || indexed.extracted_text;
+      logger.info(`♻️ Reusing ${indexed.extraction_method} text for ${attachment.filename} (${originalText.length} characters)`);
+      
+      return {
+        text: indexed.extracted_text,
+        originalText,
+        length: originalText.length,
+        processed: true,
+        method: indexed.extraction_method,
+        reused: true
+      };
+    }
+    
+    logger.info(`🔍 Converting ${attachment.filename} to text...`);
+    const result = await this.convertFileToText(fileBuffer, attachment.filename, attachment.mimeType);
+    
+    if (result.processed && result.length > 0 && !result.partial) {
+      await this.storage?.updateAttachmentHash(sha256, {
+        extracted_text: result.text,
+        original_text: result.originalText || result.text,
+        extraction_method: result.method
+      });
+    }
+    
+    return result;
+  }
+
+  // 🚀 NEW: Whether an indexed upload is still there - a deleted or trashed file gets uploaded again
+  async fileExists(fileId) {
+    try {
+      const drive = await this.getClient();
+      
+      const response = await drive.files.get({ fileId, fields: 'id, trashed' });
+      return !response.data.trashed;
+    } catch (error) {
+      if (error.code === 404) return false;
+      throw new Error(`Drive lookup failed: ${error.message}`);
+    }
+  }
+
   async convertFileToText(fileBuffer, filename, mimeType) {
     try {
       const canProcess = this.canProcessFile(mimeType, filename, fileBuffer.length);
@@ -128,13 +404,27 @@ export class DriveService {
         };
       }
 
-      logger.info(`🔍 Starting OCR conversion for: ${filename} (${mimeType})`);
+      if (canProcess.extraction === 'none') {
+        logger.warn(`⚠️ Not extracting text from ${filename}: ${canProcess.reason}`);
+        return this.skippedExtraction(filename, `${canProcess.reason} - text not extracted`);
+      }
+
+      if (canProcess.extraction === 'partial') {
+        return await this.processFirstPages(fileBuffer, filename, mimeType, canProcess);
+      }
+
+      logger.info(`🔍 Extracting text from: ${filename} (${mimeType})`);
 
       if (canProcess.method === 'directText') {
         return await this.processTextFile(fileBuffer, filename);
-      } else {
-        return await this.processWithOCR(fileBuffer, filename, mimeType);
       }
+      
+      if (canProcess.method === 'localText' && CONFIG.LOCAL_TEXT_EXTRACTION) {
+        const localResult = await this.processLocally(fileBuffer, filename, mimeType);
+        if (localResult) return localResult;
+      }
+      
+      return await this.processScannedFile(fileBuffer, filename, mimeType);
 
     } catch (error) {
       logger.error(`❌ OCR conversion failed for ${filename}:`, error.message);
@@ -169,17 +459,110 @@ export class DriveService {
     }
   }
 
+  // 🚀 NEW: Large PDFs - text from the first pages only. Drive OCR always converts the whole
+  // file, so only local extraction and local OCR are used here.
+  async processFirstPages(fileBuffer, filename, mimeType, { maxPages, reason }) {
+    logger.info(`✂️ ${filename}: ${reason} - reading the first ${maxPages} page(s)`);
+    
+    try {
+      let result = CONFIG.LOCAL_TEXT_EXTRACTION
+        ? await this.processLocally(fileBuffer, filename, mimeType, { maxPages })
+        : null;
+      
+      if (!result) {
+        if (this.ocrBackend === 'drive') {
+          throw new Error('OCR_BACKEND=drive cannot OCR part of a file');
+        }
+        result = await this.processScannedFile(fileBuffer, filename, mimeType, { maxPages });
+      }
+      
+      return { ...result, partial: true, reason: `${reason} - text from the first ${maxPages} page(s) only` };
+    } catch (error) {
+      logger.warn(`⚠️ Could not read the first pages of ${filename}: ${error.message}`);
+      return this.skippedExtraction(filename, `${reason} - first ${maxPages} page(s) unreadable: ${error.message}`);
+    }
+  }
+
+  skippedExtraction(filename, reason) {
+    return {
+      text: `Text not extracted from ${filename}: ${reason}`,
+      originalText: '',
+      length: 0,
+      processed: false,
+      skipped: true,
+      reason
+    };
+  }
+
+  // 🚀 NEW: Embedded text without the Drive round-trip. Returns null when the file needs OCR
+  // (scanned PDF) or can't be read locally, so the caller falls back to Drive.
+  async processLocally(fileBuffer, filename, mimeType, { maxPages = null } = {}) {
+    try {
+      const extracted = await this.localExtractor.extract(fileBuffer, filename, mimeType, { maxPages });
+      
+      if (extracted.needsOCR) {
+        logger.info(`🖼️ ${filename} has no usable text layer (${extracted.reason}) - sending to OCR`);
+        return null;
+      }
+      
+      logger.info(`📖 Text extracted locally: ${extracted.text.length} characters from ${filename}`);
+      
+      return {
+        text: this.formatOCRResult(extracted.text, filename, 'Local Text Extraction'),
+        originalText: extracted.text,
+        length: extracted.text.length,
+        processed: true,
+        method: extracted.method,
+        mimeType: mimeType
+      };
+    } catch (error) {
+      logger.warn(`⚠️ Local text extraction failed for ${filename}, using Drive OCR: ${error.message}`);
+      return null;
+    }
+  }
+
+  // 🚀 NEW: Images and text-less PDFs go to the configured OCR backend (local, drive, local-then-drive)
+  async processScannedFile(fileBuffer, filename, mimeType, { maxPages = null } = {}) {
+    if (this.ocrBackend !== 'drive' && this.ocr.canRecognize(mimeType)) {
+      try {
+        const recognized = await this.ocr.recognize(fileBuffer, filename, mimeType, { maxPages });
+        
+        if (!recognized.text.trim()) {
+          throw new Error('No text recognised');
+        }
+        
+        return {
+          text: this.formatOCRResult(recognized.text, filename, 'Local Tesseract OCR'),
+          originalText: recognized.text,
+          length: recognized.text.length,
+          processed: true,
+          method: recognized.method,
+          confidence: recognized.confidence,
+          mimeType: mimeType
+        };
+      } catch (error) {
+        if (this.ocrBackend === 'local' || maxPages) {
+          throw new Error(`Local OCR failed: ${error.message}`);
+        }
+        logger.warn(`⚠️ Local OCR failed for ${filename}, falling back to Drive OCR: ${error.message}`);
+      }
+    } else if (this.ocrBackend === 'local' || maxPages) {
+      throw new Error(`${mimeType} needs Drive OCR but ${maxPages ? 'only part of the file can be read' : 'OCR_BACKEND=local'}`);
+    }
+    
+    return await this.processWithOCR(fileBuffer, filename, mimeType);
+  }
+
   async processWithOCR(fileBuffer, filename, mimeType) {
     try {
-      const auth = await this.authService.getAuthClient();
-      const drive = google.drive({ version: 'v3', auth });
+      const drive = await this.getClient();
       
       const { Readable } = await import('stream');
       const stream = new Readable();
       stream.push(fileBuffer);
       stream.push(null);
 
-      const tempName = `ocr_${Date.now()}_${filename.replace(/\.[^/.]+$/, '')}`;
+      const tempName = `${OCR_TEMP_PREFIX}${Date.now()}_${filename.replace(/\.[^/.]+$/, '')}`;
 
       logger.info(`📤 Uploading for OCR: ${tempName}`);
 
@@ -187,7 +570,7 @@ export class DriveService {
         requestBody: {
           name: tempName,
           parents: [CONFIG.GOOGLE_DRIVE_FOLDER_ID],
-          mimeType: 'application/vnd.google-apps.document'
+          mimeType: GOOGLE_DOC_MIME_TYPE
         },
         media: {
           mimeType: mimeType,
@@ -197,21 +580,30 @@ export class DriveService {
       });
 
       const docId = response.data.id;
+      // 🚀 MODIFIED: A doc the journal can't record is deleted right away instead of OCR'd
+      try {
+        await this.tempDocJournal.add(docId, tempName);
+      } catch (error) {
+        await this.deleteTempDoc(drive, docId, tempName);
+        throw new Error(`OCR skipped, temp doc could not be journaled: ${error.message}`);
+      }
       logger.info(`📝 File converted to Google Doc with OCR: ${docId}`);
 
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      let extractedText;
+      try {
+        await new Promise(resolve => setTimeout(resolve, 2000));
 
-      const exportResponse = await drive.files.export({
-        fileId: docId,
-        mimeType: 'text/plain'
-      });
+        const exportResponse = await drive.files.export({
+          fileId: docId,
+          mimeType: 'text/plain'
+        });
 
-      const extractedText = exportResponse.data;
-      logger.info(`📖 Text extracted: ${extractedText.length} characters from ${mimeType}`);
-
-      await drive.files.delete({ fileId: docId }).catch(err => 
-        logger.warn(`Failed to delete temp Doc: ${err.message}`)
-      );
+        extractedText = exportResponse.data;
+        logger.info(`📖 Text extracted: ${extractedText.length} characters from ${mimeType}`);
+      } finally {
+        // 🚀 NEW: Deleted even when the export fails; a failed delete stays in the journal
+        await this.deleteTempDoc(drive, docId, tempName);
+      }
 
       const formattedText = this.formatOCRResult(extractedText, filename, 'Google Drive OCR');
       
@@ -229,6 +621,86 @@ export class DriveService {
     }
   }
 
+  // true once the doc is gone (already-deleted docs count); the journal entry goes with it
+  async deleteTempDoc(drive, docId, name) {
+    try {
+      await drive.files.delete({ fileId: docId });
+    } catch (error) {
+      if (error.code !== 404) {
+        logger.warn(`⚠️ Failed to delete temp Doc ${name} (${docId}): ${error.message}`);
+        return false;
+      }
+    }
+    
+    await this.tempDocJournal.remove(docId);
+    return true;
+  }
+  
+  // 🚀 NEW: Deletes the temp docs an earlier run left in the journal (crash, kill, failed delete)
+  async cleanupJournaledTempDocs() {
+    const entries = await this.tempDocJournal.list();
+    if (entries.length === 0) return { found: 0, deleted: 0 };
+    
+    logger.info(`🧹 ${entries.length} OCR temp doc(s) left over from an earlier run - deleting`);
+    
+    const drive = await this.getClient();
+    
+    let deleted = 0;
+    for (const entry of entries) {
+      if (await this.deleteTempDoc(drive, entry.id, entry.name)) deleted++;
+    }
+    
+    logger.info(`🧹 Deleted ${deleted}/${entries.length} leftover OCR temp doc(s)`);
+    return { found: entries.length, deleted };
+  }
+  
+  // ocr_* Google Docs in the Drive folder created more than `olderThanHours` ago
+  async findStaleTempDocs(olderThanHours) {
+    const drive = await this.getClient();
+    const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000).toISOString();
+    
+    const docs = [];
+    let pageToken;
+    do {
+      const response = await drive.files.list({
+        q: `'${CONFIG.GOOGLE_DRIVE_FOLDER_ID}' in parents and name contains '${OCR_TEMP_PREFIX}' and mimeType = '${GOOGLE_DOC_MIME_TYPE}' and createdTime < '${cutoff}' and trashed = false`,
+        fields: 'nextPageToken, files(id, name, createdTime)',
+        pageSize: 100,
+        pageToken
+      });
+      
+      // `name contains` matches word prefixes anywhere in the name - keep only our own temp docs
+      docs.push(...(response.data.files || []).filter(file => OCR_TEMP_NAME.test(file.name)));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    
+    return docs;
+  }
+  
+  // 🚀 NEW: Maintenance sweep for orphaned OCR temp docs - journaled docs first, whatever their age,
+  // then stale ocr_* docs. { olderThanHours, dryRun, journaled, found, deleted, failed, docs }
+  async sweepTempDocs({ olderThanHours = CONFIG.OCR_TEMP_DOC_MAX_AGE_HOURS, dryRun = false } = {}) {
+    const journaled = await this.tempDocJournal.list();
+    if (!dryRun) await this.cleanupJournaledTempDocs();
+    
+    const docs = await this.findStaleTempDocs(olderThanHours);
+    const report = { olderThanHours, dryRun, journaled, found: docs.length, deleted: 0, failed: 0, docs };
+    
+    if (dryRun || docs.length === 0) return report;
+    
+    const drive = await this.getClient();
+    
+    for (const doc of docs) {
+      if (await this.deleteTempDoc(drive, doc.id, doc.name)) {
+        report.deleted++;
+      } else {
+        report.failed++;
+      }
+    }
+    
+    return report;
+  }
+
   async convertPDFToText(fileBuffer, filename) {
     return await this.convertFileToText(fileBuffer, filename, 'application/pdf');
   }
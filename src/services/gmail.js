@@ -5,15 +5,63 @@ import { OAuth2AuthService } from './oauth-auth.js';
 
 const logger = createLogger();
 
+// Deleted between listing and fetching - nothing left to process, so not a failure
+function isNotFound(error) {
+  return error.code === 404 || error.response?.status === 404;
+}
+
+// 🚀 NEW: The application search queries, newest messages first. The sweep runs them one by one;
+// history sync matches newly added messages against all of them at once (matchApplicationQueries).
+const APPLICATION_QUERIES = [
+  // Primary LinkedIn job application emails
+  'from:(linkedin.com OR jobs-noreply@linkedin.com OR noreply@linkedin.com OR jobs-listings@linkedin.com) subject:("new application" OR "job application" OR "applicant" OR "application received")',
+  
+  // LinkedIn notifications and confirmations
+  'from:(linkedin.com OR jobs-noreply@linkedin.com OR noreply@linkedin.com OR jobs-listings@linkedin.com) (application OR applied OR candidate OR resume OR job OR hiring)',
+  
+  // Subject-based patterns (catch forwarded or different sender emails)
+  'subject:("application received" OR "thank you for applying" OR "application submitted" OR "we received your application" OR "your application for" OR "application status" OR "Your job has a new applicant" OR "New Application" OR "Job Application")',
+  
+  // Content-based patterns with attachments
+  'has:attachment (CV OR resume OR application) (linkedin OR job OR position OR role OR candidate OR applicant)',
+  
+  // Broader LinkedIn patterns
+  '(linkedin) AND (job OR position OR role OR application OR apply OR candidate OR resume OR CV OR applicant OR hiring)',
+  
+  // 🚀 NEW: Catch emails with specific job-related terms
+  '(candidate OR applicant OR "new hire") AND (resume OR CV OR application) has:attachment',
+  
+  // 🚀 NEW: Catch forwarded job applications
+  'subject:(Fwd OR Forward OR FWD) AND (application OR candidate OR resume OR CV)',
+  
+  // 🚀 NEW: Catch internal recruitment emails
+  '(recruitment OR talent OR hiring) AND (candidate OR applicant OR resume) has:attachment'
+];
+
 export class GmailService {
-  constructor() {
-    this.authService = new OAuth2AuthService();
+  // 🚀 MODIFIED: `client` replaces the OAuth2 Gmail client (a stub in test-parser.js) and
+  // `throttleMs` is the pause between listing queries and fetch batches
+  constructor({ client = null, throttleMs = 200 } = {}) {
+    this.client = client;
+    this.throttleMs = throttleMs;
+    this.authService = client ? null : new OAuth2AuthService();
+  }
+
+  async getClient() {
+    if (this.client) return this.client;
+    const auth = await this.authService.getAuthClient();
+    return google.gmail({ version: 'v1', auth });
+  }
+
+  async throttle() {
+    if (this.throttleMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.throttleMs));
+    }
   }
 
   async testConnection() {
     try {
-      const auth = await this.authService.getAuthClient();
-      const gmail = google.gmail({ version: 'v1', auth });
+      const gmail = await this.getClient();
       
       const profile = await gmail.users.getProfile({ userId: 'me' });
       
@@ -28,37 +76,21 @@ export class GmailService {
     }
   }
 
-  async getLatestEmails(maxResults = 50) {
+  async getLatestEmails(maxResults = 50, options = {}) {
+    const { messages } = await this.sweepEmails(maxResults, options);
+    return messages;
+  }
+
+  // 🚀 NEW: The multi-query sweep behind getLatestEmails. { messages, complete, newestListed,
+  // failedIds } - `complete` is true only when every matching message was listed and fetched,
+  // `newestListed` when no query failed on its first (newest) page, so the caller may seed the
+  // history cursor. `shouldSkip(id)` drops already-processed messages from the listed ones.
+  async sweepEmails(maxResults = 50, { shouldSkip = null } = {}) {
     try {
-      const auth = await this.authService.getAuthClient();
-      const gmail = google.gmail({ version: 'v1', auth });
+      const gmail = await this.getClient();
       
       // 🚀 ENHANCED: Comprehensive query strategy to catch ALL emails
-      const queries = [
-        // Primary LinkedIn job application emails
-        'from:(linkedin.com OR jobs-noreply@linkedin.com OR noreply@linkedin.com OR jobs-listings@linkedin.com) subject:("new application" OR "job application" OR "applicant" OR "application received")',
-        
-        // LinkedIn notifications and confirmations
-        'from:(linkedin.com OR jobs-noreply@linkedin.com OR noreply@linkedin.com OR jobs-listings@linkedin.com) (application OR applied OR candidate OR resume OR job OR hiring)',
-        
-        // Subject-based patterns (catch forwarded or different sender emails)
-        'subject:("application received" OR "thank you for applying" OR "application submitted" OR "we received your application" OR "your application for" OR "application status" OR "Your job has a new applicant" OR "New Application" OR "Job Application")',
-        
-        // Content-based patterns with attachments
-        'has:attachment (CV OR resume OR application) (linkedin OR job OR position OR role OR candidate OR applicant)',
-        
-        // Broader LinkedIn patterns
-        '(linkedin) AND (job OR position OR role OR application OR apply OR candidate OR resume OR CV OR applicant OR hiring)',
-        
-        // 🚀 NEW: Catch emails with specific job-related terms
-        '(candidate OR applicant OR "new hire") AND (resume OR CV OR application) has:attachment',
-        
-        // 🚀 NEW: Catch forwarded job applications
-        'subject:(Fwd OR Forward OR FWD) AND (application OR candidate OR resume OR CV)',
-        
-        // 🚀 NEW: Catch internal recruitment emails
-        '(recruitment OR talent OR hiring) AND (candidate OR applicant OR resume) has:attachment'
-      ];
+      const queries = APPLICATION_QUERIES;
 
       const maxAgeDays = CONFIG.MAX_EMAIL_AGE_DAYS || 365;
       
@@ -68,6 +100,12 @@ export class GmailService {
       
       let allMessages = [];
       let totalApiCalls = 0;
+      let complete = true;
+      let newestListed = true;
+      const failedIds = [];
+      
+      // One past the batch tells us whether anything was left behind
+      const listTarget = maxResults + 1;
       
       for (let i = 0; i < queries.length; i++) {
         const baseQuery = queries[i];
@@ -78,13 +116,14 @@ export class GmailService {
         
         logger.info(`📧 Query ${i + 1}/${queries.length}: ${query}`);
         
+        let firstPageListed = false;
         try {
           let pageToken = null;
           let queryResults = [];
           let pageNumber = 1;
           
           do {
-            const batchSize = Math.min(500, maxResults - allMessages.length);
+            const batchSize = Math.min(500, listTarget - allMessages.length);
             
             totalApiCalls++;
             const response = await gmail.users.messages.list({
@@ -93,6 +132,7 @@ export class GmailService {
               q: query,
               ...(pageToken && { pageToken })
             });
+            firstPageListed = true;
 
             if (response.data.messages?.length > 0) {
               queryResults = queryResults.concat(response.data.messages);
@@ -102,12 +142,17 @@ export class GmailService {
             pageToken = response.data.nextPageToken;
             pageNumber++;
             
-            if (allMessages.length + queryResults.length >= maxResults) {
+            if (allMessages.length + queryResults.length >= listTarget) {
               break;
             }
             
           } while (pageToken && pageNumber <= 10);
           
+          // Pages left unread (page limit or target) mean the sweep did not see everything
+          if (pageToken) {
+            complete = false;
+          }
+          
           // Remove duplicates by message ID
           const existingIds = new Set(allMessages.map(m => m.id));
           const newMessages = queryResults.filter(m => !existingIds.has(m.id));
@@ -117,25 +162,43 @@ export class GmailService {
           logger.info(`   ✅ Query ${i + 1} results: ${queryResults.length} total, ${newMessages.length} new`);
           logger.info(`   📊 Running total: ${allMessages.length} unique messages`);
           
-          if (allMessages.length >= maxResults) {
+          if (allMessages.length >= listTarget) {
             logger.info(`✅ Reached target of ${maxResults} messages, stopping search`);
+            complete = false;
             break;
           }
           
           // Rate limiting between queries
-          await new Promise(resolve => setTimeout(resolve, 200));
+          await this.throttle();
           
         } catch (error) {
           logger.error(`❌ Error with query ${i + 1}: ${error.message}`);
+          complete = false;
+          if (!firstPageListed) newestListed = false;
           continue;
         }
       }
       
-      if (allMessages.length > maxResults) {
-        allMessages = allMessages.slice(0, maxResults);
-        logger.info(`✂️ Truncated to ${maxResults} messages as requested`);
+      const selected = [];
+      let skipped = 0;
+      for (const message of allMessages) {
+        if (shouldSkip && await shouldSkip(message.id)) {
+          skipped++;
+          continue;
+        }
+        if (selected.length >= maxResults) {
+          logger.info(`✂️ Truncated to ${maxResults} messages as requested`);
+          complete = false;
+          break;
+        }
+        selected.push(message);
       }
       
+      if (skipped > 0) {
+        logger.info(`⏭️ Skipped ${skipped} already-processed message(s)`);
+      }
+      allMessages = selected;
+      
       logger.info(`📧 Total unique messages collected: ${allMessages.length}`);
       logger.info(`📊 Total API calls for listing: ${totalApiCalls}`);
       
@@ -159,7 +222,13 @@ export class GmailService {
             
             return this.parseMessage(details.data);
           } catch (error) {
+            if (isNotFound(error)) {
+              logger.warn(`⚠️ Message ${message.id} was deleted before it could be fetched`);
+              return null;
+            }
             logger.error(`Error fetching message ${message.id}:`, error.message);
+            complete = false;
+            failedIds.push(message.id);
             return null;
           }
         });
@@ -169,20 +238,197 @@ export class GmailService {
         
         // Rate limiting between batches
         if (i + batchSize < allMessages.length) {
-          await new Promise(resolve => setTimeout(resolve, 200));
+          await this.throttle();
         }
       }
       
       logger.info(`✅ Successfully parsed ${messages.length} messages out of ${allMessages.length} total`);
       logger.info(`📊 Total API calls: ${totalApiCalls + detailApiCalls}`);
+      if (!complete) {
+        logger.info('🔁 Sweep incomplete - more messages remain or some could not be fetched');
+      }
       
-      return messages;
+      return { messages, complete, newestListed, failedIds };
       
     } catch (error) {
       throw new Error(`Gmail API error: ${error.message}`);
     }
   }
 
+  // 🚀 NEW: Mailbox profile (email address + current historyId for incremental sync)
+  async getProfile() {
+    try {
+      const gmail = await this.getClient();
+
+      const profile = await gmail.users.getProfile({ userId: 'me' });
+      return profile.data;
+    } catch (error) {
+      throw new Error(`Error fetching Gmail profile: ${error.message}`);
+    }
+  }
+
+  // 🚀 NEW: History sync from storedHistoryId, or the query sweep when there is none or it has
+  // expired. { messages, historyId, mode } - historyId is the cursor to store once the batch is
+  // handled, null to keep the stored one. currentHistoryId must be read before listing, so
+  // nothing added mid-sweep is missed.
+  async syncEmails({ storedHistoryId, currentHistoryId, maxResults = 50, shouldSkip = null }) {
+    if (storedHistoryId) {
+      const result = await this.getEmailsSinceHistory(storedHistoryId, maxResults);
+      
+      if (!result.expired) {
+        return { messages: result.messages, historyId: result.historyId, mode: 'history' };
+      }
+      
+      logger.warn('⚠️ Stored history ID expired - falling back to full query sweep');
+    } else {
+      logger.info('🔁 No stored history ID - running full query sweep to seed incremental sync');
+    }
+    
+    // Seed the cursor once every query's newest page came back: history sync picks up from there,
+    // so later runs never sweep again. Messages past the batch that are older than the cursor are
+    // left to GMAIL_SYNC_MODE=query. A failed fetch keeps the old cursor so the next sweep retries it.
+    const sweep = await this.sweepEmails(maxResults, { shouldSkip });
+    
+    if (!sweep.newestListed) {
+      logger.info('🔁 A query failed before its newest page - history cursor not seeded this run');
+    } else if (sweep.failedIds.length > 0) {
+      logger.warn(`⚠️ ${sweep.failedIds.length} message(s) could not be fetched - history cursor not seeded this run`);
+    }
+    
+    const seeded = sweep.newestListed && sweep.failedIds.length === 0;
+    return { messages: sweep.messages, historyId: seeded ? currentHistoryId : null, mode: 'query_fallback' };
+  }
+
+  // 🚀 NEW: The IDs among messageIds that match APPLICATION_QUERIES. Added messages are the
+  // newest in the mailbox, so the first messageIds.length results of the combined query hold
+  // every match. When the listing fails nothing is filtered.
+  async matchApplicationQueries(gmail, messageIds) {
+    const query = APPLICATION_QUERIES.map(applicationQuery => `(${applicationQuery})`).join(' OR ');
+    const matching = new Set();
+    let listed = 0;
+    let pageToken = null;
+
+    try {
+      do {
+        const response = await gmail.users.messages.list({
+          userId: 'me',
+          maxResults: Math.min(500, messageIds.length - listed),
+          q: query,
+          ...(pageToken && { pageToken })
+        });
+
+        for (const message of response.data.messages || []) {
+          matching.add(message.id);
+        }
+        listed += response.data.messages?.length || 0;
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && listed < messageIds.length);
+
+      return messageIds.filter(id => matching.has(id));
+    } catch (error) {
+      logger.warn(`⚠️ Application query match failed (${error.message}) - fetching every added message`);
+      return messageIds;
+    }
+  }
+
+  // 🚀 NEW: Incremental sync - only messages added since startHistoryId
+  // Returns { expired: true } when Gmail no longer has history that far back,
+  // so the caller can fall back to the full query sweep.
+  // 🚀 MODIFIED: Only added messages that match the application queries are fetched, and only
+  // those count against maxResults.
+  async getEmailsSinceHistory(startHistoryId, maxResults = 50) {
+    try {
+      const gmail = await this.getClient();
+
+      logger.info(`🔁 Incremental sync from historyId ${startHistoryId}`);
+
+      // [{ id, recordIndex }] in history order, and every record ID seen
+      const added = [];
+      const recordIds = [];
+      const seenIds = new Set();
+      let pageToken = null;
+      let latestHistoryId = startHistoryId;
+      let totalApiCalls = 0;
+
+      do {
+        totalApiCalls++;
+        const response = await gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          historyTypes: ['messageAdded'],
+          maxResults: 500,
+          ...(pageToken && { pageToken })
+        });
+
+        latestHistoryId = response.data.historyId || latestHistoryId;
+
+        for (const record of response.data.history || []) {
+          for (const { message } of record.messagesAdded || []) {
+            if (seenIds.has(message.id) || this.isIgnoredHistoryMessage(message)) continue;
+
+            seenIds.add(message.id);
+            added.push({ id: message.id, recordIndex: recordIds.length });
+          }
+          recordIds.push(record.id);
+        }
+
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      logger.info(`📧 History sync found ${added.length} new message(s) in ${totalApiCalls} API call(s)`);
+
+      const matchingIds = new Set(added.length > 0 ? await this.matchApplicationQueries(gmail, added.map(({ id }) => id)) : []);
+      if (matchingIds.size < added.length) {
+        logger.info(`⏭️ ${added.length - matchingIds.size} added message(s) do not match the application queries`);
+      }
+
+      const messageIds = [];
+      let deferred = null;
+      for (const entry of added) {
+        if (!matchingIds.has(entry.id)) continue;
+        if (messageIds.length >= maxResults) {
+          deferred = entry;
+          break;
+        }
+        messageIds.push(entry.id);
+      }
+
+      // When we stop early, resume from the last record before the first deferred message next run
+      const resumeHistoryId = deferred
+        ? (deferred.recordIndex > 0 ? recordIds[deferred.recordIndex - 1] : startHistoryId)
+        : latestHistoryId;
+      if (deferred) {
+        logger.info(`✂️ Reached target of ${maxResults} messages, remaining history deferred to next run`);
+      }
+
+      const { messages, failedIds } = messageIds.length > 0
+        ? await this.getMessagesByIds(messageIds)
+        : { messages: [], failedIds: [] };
+
+      // A message we could not fetch would be skipped for good once the cursor moves past it
+      if (failedIds.length > 0) {
+        logger.warn(`⚠️ ${failedIds.length} message(s) could not be fetched - keeping historyId ${startHistoryId} to retry them`);
+      }
+
+      return {
+        messages,
+        historyId: failedIds.length > 0 ? startHistoryId : resumeHistoryId,
+        expired: false
+      };
+    } catch (error) {
+      if (error.code === 404 || error.response?.status === 404) {
+        logger.warn(`⚠️ History ID ${startHistoryId} has expired`);
+        return { messages: [], historyId: null, expired: true };
+      }
+      throw new Error(`Gmail history sync error: ${error.message}`);
+    }
+  }
+
+  isIgnoredHistoryMessage(message) {
+    const ignoredLabels = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
+    return (message.labelIds || []).some(label => ignoredLabels.includes(label));
+  }
+
   // 🚀 ENHANCED: Complete message parsing with comprehensive body extraction
   parseMessage(message) {
     try {
@@ -393,8 +639,7 @@ export class GmailService {
 
   async downloadAttachment(messageId, attachmentId) {
     try {
-      const auth = await this.authService.getAuthClient();
-      const gmail = google.gmail({ version: 'v1', auth });
+      const gmail = await this.getClient();
       
       logger.debug(`📥 Downloading attachment: ${attachmentId} from message: ${messageId}`);
       
@@ -415,8 +660,7 @@ export class GmailService {
 
   async markAsRead(messageId) {
     try {
-      const auth = await this.authService.getAuthClient();
-      const gmail = google.gmail({ version: 'v1', auth });
+      const gmail = await this.getClient();
       
       await gmail.users.messages.modify({
         userId: 'me',
@@ -435,8 +679,7 @@ export class GmailService {
   // 🚀 NEW: Get specific message by ID
   async getMessageById(messageId) {
     try {
-      const auth = await this.authService.getAuthClient();
-      const gmail = google.gmail({ version: 'v1', auth });
+      const gmail = await this.getClient();
       
       const response = await gmail.users.messages.get({
         userId: 'me',
@@ -446,13 +689,17 @@ export class GmailService {
       
       return this.parseMessage(response.data);
     } catch (error) {
-      throw new Error(`Error fetching message ${messageId}: ${error.message}`);
+      const wrapped = new Error(`Error fetching message ${messageId}: ${error.message}`);
+      wrapped.code = error.code ?? error.response?.status;
+      throw wrapped;
     }
   }
 
   // 🚀 NEW: Batch message processing
+  // { messages, failedIds } - deleted messages are dropped, any other failure is reported
   async getMessagesByIds(messageIds) {
     const messages = [];
+    const failedIds = [];
     const batchSize = 50;
     
     for (let i = 0; i < messageIds.length; i += batchSize) {
@@ -463,7 +710,12 @@ export class GmailService {
         try {
           return await this.getMessageById(messageId);
        } catch (error) {
-         logger.error(`Error fetching message ${messageId}:`, error.message);
+         if (isNotFound(error)) {
+           logger.warn(`⚠️ Message ${messageId} was deleted before it could be fetched`);
+         } else {
+           logger.error(`Error fetching message ${messageId}:`, error.message);
+           failedIds.push(messageId);
+         }
          return null;
        }
      });
@@ -473,18 +725,17 @@ export class GmailService {
      
      // Rate limiting between batches
      if (i + batchSize < messageIds.length) {
-       await new Promise(resolve => setTimeout(resolve, 200));
+       await this.throttle();
      }
    }
    
-   return messages;
+   return { messages, failedIds };
  }
 
  // 🚀 NEW: Search messages with advanced filters
  async searchMessages(query, maxResults = 100) {
    try {
-     const auth = await this.authService.getAuthClient();
-     const gmail = google.gmail({ version: 'v1', auth });
+     const gmail = await this.getClient();
      
      logger.info(`🔍 Searching messages with query: ${query}`);
      
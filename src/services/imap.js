@@ -0,0 +1,176 @@
+// src/services/imap.js - Generic IMAP mailbox source (non-Google hiring inboxes)
+import { ImapFlow } from 'imapflow';
+import { CONFIG } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { MimeMessageParser } from '../utils/mime.js';
+
+const logger = createLogger();
+
+export class ImapMailService {
+  constructor(imapConfig = CONFIG.IMAP_CONFIG) {
+    if (!imapConfig.host || !imapConfig.user || !imapConfig.password) {
+      throw new Error('IMAP_HOST, IMAP_USER and IMAP_PASSWORD are required for the IMAP mail source');
+    }
+
+    this.config = imapConfig;
+    this.mimeParser = new MimeMessageParser();
+    logger.info(`📬 IMAP mail source initialized: ${imapConfig.user}@${imapConfig.host}:${imapConfig.port}/${imapConfig.mailbox}`);
+  }
+
+  createClient() {
+    const client = new ImapFlow({
+      host: this.config.host,
+      port: this.config.port,
+      secure: this.config.secure,
+      auth: {
+        user: this.config.user,
+        pass: this.config.password
+      },
+      tls: {
+        rejectUnauthorized: this.config.rejectUnauthorized
+      },
+      logger: false
+    });
+
+    // Socket errors arrive as events; without a listener they would crash the run
+    client.on('error', err => logger.warn(`⚠️ IMAP connection error: ${err.message}`));
+    return client;
+  }
+
+  // Connect, lock the configured mailbox, run `operation`, always release + log out. A failed
+  // connect or lock (bad password, missing mailbox) still closes the socket.
+  async withMailbox(operation) {
+    const client = this.createClient();
+    let lock = null;
+
+    try {
+      await client.connect();
+      lock = await client.getMailboxLock(this.config.mailbox);
+      return await operation(client, client.mailbox);
+    } finally {
+      lock?.release();
+
+      if (client.usable) {
+        await client.logout().catch(err => {
+          logger.warn(`Failed to close IMAP connection: ${err.message}`);
+          client.close();
+        });
+      } else {
+        client.close();
+      }
+    }
+  }
+
+  async testConnection() {
+    try {
+      await this.withMailbox(async (client, mailbox) => {
+        logger.info('✅ IMAP connection successful');
+        logger.info(`   Mailbox: ${mailbox.path}`);
+        logger.info(`   Messages Total: ${mailbox.exists}`);
+        logger.info(`   UIDVALIDITY: ${mailbox.uidValidity}`);
+      });
+
+      return true;
+    } catch (error) {
+      throw new Error(`IMAP connection failed: ${error.message}`);
+    }
+  }
+
+  // Stable processed-message key: UIDs are only unique within one UIDVALIDITY epoch
+  buildMessageId(uidValidity, uid) {
+    return `imap:${this.config.mailbox}:${uidValidity}:${uid}`;
+  }
+
+  parseMessageId(messageId) {
+    const match = /^imap:(.+):(\d+):(\d+)$/.exec(messageId);
+    if (!match) return null;
+    return { mailbox: match[1], uidValidity: match[2], uid: Number(match[3]) };
+  }
+
+  // Same contract as GmailService.getLatestEmails; IDs are derived from UIDs, so
+  // `shouldSkip(id)` is checked before any message source is downloaded.
+  async getLatestEmails(maxResults = 50, { shouldSkip = null } = {}) {
+    try {
+      return await this.withMailbox(async (client, mailbox) => {
+        const uidValidity = String(mailbox.uidValidity);
+        const maxAgeDays = CONFIG.MAX_EMAIL_AGE_DAYS || 365;
+
+        const criteria = { since: new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000) };
+        if (this.config.unseenOnly) {
+          criteria.seen = false;
+        }
+
+        logger.info(`🔍 IMAP search in ${mailbox.path}: ${JSON.stringify(criteria)}`);
+
+        const uids = (await client.search(criteria, { uid: true })) || [];
+
+        // Newest first, like the Gmail listing
+        uids.sort((a, b) => b - a);
+        logger.info(`📧 IMAP search matched ${uids.length} message(s)`);
+
+        const messages = [];
+        let skipped = 0;
+
+        for (const uid of uids) {
+          const messageId = this.buildMessageId(uidValidity, uid);
+
+          if (shouldSkip && await shouldSkip(messageId)) {
+            skipped++;
+            continue;
+          }
+
+          const fetched = await client.fetchOne(String(uid), { source: true }, { uid: true });
+          if (!fetched?.source) {
+            logger.warn(`⚠️ IMAP message ${uid} returned no source`);
+            continue;
+          }
+
+          const message = await this.mimeParser.parse(fetched.source, {
+            id: messageId,
+            source: `imap:${this.config.host}/${mailbox.path}`
+          });
+
+          if (message) {
+            messages.push(message);
+          }
+
+          if (messages.length >= maxResults) {
+            logger.info(`✅ Reached target of ${maxResults} messages, stopping fetch`);
+            break;
+          }
+        }
+
+        logger.info(`✅ Successfully parsed ${messages.length} IMAP message(s), ${skipped} already processed`);
+        return messages;
+      });
+    } catch (error) {
+      throw new Error(`IMAP fetch error: ${error.message}`);
+    }
+  }
+
+  async downloadAttachment(messageId, attachmentId) {
+    // Full message source is fetched up front; callers should use attachment.content
+    throw new Error(`IMAP attachment ${attachmentId} of ${messageId} has no separate download - use attachment.content`);
+  }
+
+  async markAsRead(messageId) {
+    try {
+      const parsedId = this.parseMessageId(messageId);
+      if (!parsedId) {
+        throw new Error(`Not an IMAP message ID: ${messageId}`);
+      }
+
+      await this.withMailbox(async (client, mailbox) => {
+        if (String(mailbox.uidValidity) !== parsedId.uidValidity) {
+          throw new Error(`UIDVALIDITY changed (${parsedId.uidValidity} → ${mailbox.uidValidity})`);
+        }
+
+        await client.messageFlagsAdd(String(parsedId.uid), ['\\Seen'], { uid: true });
+      });
+
+      logger.info(`📧 Marked message ${messageId} as read`);
+    } catch (error) {
+      logger.error(`Error marking message as read:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,554 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { CONFIG } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+import { numberInRange, validateEmail, validateGitHubUrl, validateLinkedInUrl, validatePhone, validateSchema, validateUrl } from '../utils/schema.js';
+
+const logger = createLogger();
+
+export const LLM_PROVIDERS = ['openai', 'azure', 'openai-compatible'];
+
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'none'];
+
+// Strict structured output needs every property required and no extras - "not found" is null
+export const CONTACT_INFO_SCHEMA = {
+  type: 'object',
+  properties: {
+    mobile_number: { type: ['string', 'null'] },
+    email: { type: ['string', 'null'] },
+    linkedin_url: { type: ['string', 'null'] }
+  },
+  required: ['mobile_number', 'email', 'linkedin_url'],
+  additionalProperties: false
+};
+
+const CONTACT_INFO_VALIDATORS = {
+  mobile_number: validatePhone,
+  email: validateEmail,
+  linkedin_url: validateLinkedInUrl
+};
+
+const EMPTY_CONTACT_INFO = { mobile_number: null, email: null, linkedin_url: null };
+
+const nullable = type => ({ type: [type, 'null'] });
+
+// 🚀 NEW: GPT_EXTRACTION_MODE=profile - the contact fields plus the candidate's current role,
+// experience, notice period, degree, skills, links and a short summary
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...CONTACT_INFO_SCHEMA.properties,
+    github_url: nullable('string'),
+    portfolio_url: nullable('string'),
+    current_employer: nullable('string'),
+    current_title: nullable('string'),
+    total_experience_years: nullable('number'),
+    notice_period: nullable('string'),
+    notice_period_days: nullable('integer'),
+    highest_degree: nullable('string'),
+    key_skills: { type: 'array', items: { type: 'string' } },
+    summary: nullable('string')
+  },
+  required: [
+    ...CONTACT_INFO_SCHEMA.required,
+    'github_url', 'portfolio_url', 'current_employer', 'current_title', 'total_experience_years',
+    'notice_period', 'notice_period_days', 'highest_degree', 'key_skills', 'summary'
+  ],
+  additionalProperties: false
+};
+
+// Trim, drop blanks and duplicates, cap the list - never invalid, models just over-deliver
+function normalizeList(maxItems) {
+  return items => {
+    const seen = new Set();
+    const kept = (items || [])
+      .map(item => String(item).trim())
+      .filter(item => item && !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()));
+    return { valid: true, value: kept.slice(0, maxItems) };
+  };
+}
+
+// At most two lines, surrounding whitespace dropped
+function normalizeSummary(summary) {
+  if (!summary?.trim()) return { valid: true, value: null };
+  return { valid: true, value: summary.trim().split(/\s*\n+\s*/).slice(0, 2).join('\n') };
+}
+
+const PROFILE_VALIDATORS = {
+  ...CONTACT_INFO_VALIDATORS,
+  github_url: validateGitHubUrl,
+  portfolio_url: validateUrl,
+  total_experience_years: numberInRange(0, 60),
+  notice_period_days: numberInRange(0, 365),
+  key_skills: normalizeList(15),
+  summary: normalizeSummary
+};
+
+// 🚀 NEW: ENABLE_FIT_SCORING - candidate vs job description
+export const FIT_SCORE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer' },
+    rationale: { type: 'string' },
+    red_flags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['score', 'rationale', 'red_flags'],
+  additionalProperties: false
+};
+
+const FIT_SCORE_VALIDATORS = {
+  score: numberInRange(0, 100),
+  rationale: rationale => rationale.trim()
+    ? { valid: true, value: rationale.trim() }
+    : { valid: false, value: null, reason: 'rationale is empty' },
+  red_flags: normalizeList(10)
+};
+
+// Models sometimes wrap JSON in a ```json fence even when told not to
+function parseJSONReply(content) {
+  const unfenced = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
+}
+
+// 🚀 NEW: { input, output } USD per 1M tokens - exact model name, else the longest matching prefix
+// ("gpt-4o-mini-2024-07-18" → gpt-4o-mini). null when the model isn't in the table.
+export function modelPrice(model, pricing = CONFIG.LLM_PRICING) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+export function emptyUsage() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+// 🚀 NEW: { name, label, model, timeout, client } for CONFIG.LLM_PROVIDER. Every provider speaks the
+// OpenAI chat completions API, so only the client construction differs. `settings.fetch` replaces
+// the SDK's fetch (test-parser.js stubs it).
+export function createLLMProvider(name = CONFIG.LLM_PROVIDER, settings = CONFIG.LLM_PROVIDERS[name]) {
+  switch (name) {
+    case 'openai':
+      return {
+        name,
+        label: 'OpenAI',
+        model: settings.model,
+        timeout: settings.timeout,
+        structuredOutput: settings.structuredOutput,
+        client: new OpenAI({ apiKey: settings.apiKey, timeout: settings.timeout, fetch: settings.fetch })
+      };
+    case 'azure':
+      if (!settings.endpoint || !settings.model) {
+        throw new Error('Azure OpenAI needs AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT');
+      }
+      return {
+        name,
+        label: `Azure OpenAI (${settings.endpoint})`,
+        model: settings.model,
+        timeout: settings.timeout,
+        structuredOutput: settings.structuredOutput,
+        client: new AzureOpenAI({
+          apiKey: settings.apiKey,
+          endpoint: settings.endpoint,
+          apiVersion: settings.apiVersion,
+          deployment: settings.model,
+          timeout: settings.timeout,
+          fetch: settings.fetch
+        })
+      };
+    case 'openai-compatible':
+      if (!settings.baseURL) {
+        throw new Error('The openai-compatible LLM provider needs LLM_BASE_URL');
+      }
+      return {
+        name,
+        label: `OpenAI-compatible (${settings.baseURL})`,
+        model: settings.model,
+        timeout: settings.timeout,
+        structuredOutput: settings.structuredOutput,
+        // Local servers ignore the key, but the SDK refuses to start without one
+        client: new OpenAI({ apiKey: settings.apiKey || 'not-needed', baseURL: settings.baseURL, timeout: settings.timeout, fetch: settings.fetch })
+      };
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
+
+export class LLMService {
+  // 🚀 MODIFIED: `storage` holds the daily usage table behind the spend cap (none: the cap only
+  // counts this run's calls); `dryRun` reads it but writes nothing
+  constructor(provider = null, { storage = null, dailyCapUsd = CONFIG.LLM_DAILY_SPEND_CAP_USD, dryRun = CONFIG.DRY_RUN } = {}) {
+    try {
+      this.provider = provider || createLLMProvider();
+      this.client = this.provider.client;
+      
+      if (!STRUCTURED_OUTPUT_MODES.includes(this.provider.structuredOutput)) {
+        logger.warn(`⚠️ Unknown structured output mode "${this.provider.structuredOutput}" - using json_object`);
+        this.provider.structuredOutput = 'json_object';
+      }
+      
+      // 🚀 NEW: Per task (contact_info, profile, fit_score) - calls, retries, repaired replies, failures by kind, invalid fields
+      this.metrics = {};
+      
+      // 🚀 NEW: Tokens and cost of every call this run (connection test included)
+      this.usage = emptyUsage();
+      this.price = modelPrice(this.provider.model);
+      if (!this.price) {
+        logger.warn(`⚠️ No LLM_PRICING entry for model ${this.provider.model} - tokens are counted but not priced`);
+      }
+      
+      // 🚀 NEW: LLM spend for the daily cap - the day (UTC), its spend as of the last storage read plus
+      // what this run has written since, calls refused, and the usage already written to the daily table
+      this.storage = storage;
+      this.dailyCapUsd = dailyCapUsd;
+      this.dryRun = dryRun;
+      this.budget = { day: null, spentUsd: 0, exhausted: false, skippedCalls: 0 };
+      this.usageFlushed = this.usageSnapshot();
+      
+      logger.info(`🤖 LLM service initialized: ${this.provider.label}, model ${this.provider.model}, ${this.provider.timeout}ms timeout`);
+    } catch (error) {
+      throw new Error(`LLM initialization failed: ${error.message}`);
+    }
+  }
+
+  async testConnection() {
+    if (!(await this.withinBudget())) {
+      logger.info('⏭️ LLM daily spend cap reached - connection test skipped');
+      return true;
+    }
+
+    try {
+      const response = await this.client.chat.completions.create({
+        model: this.provider.model,
+        messages: [{ role: 'user', content: 'Hello' }],
+        max_tokens: 5
+      });
+      this.recordUsage(response.usage);
+
+      logger.info(`✅ LLM connection successful`);
+      logger.info(`   Provider: ${this.provider.label}`);
+      logger.info(`   Model: ${this.provider.model}`);
+      logger.info(`   Response: ${response.choices[0].message.content}`);
+
+      return response.choices.length > 0;
+    } catch (error) {
+      throw new Error(`${this.provider.label} connection test failed: ${error.message}`);
+    }
+  }
+
+  // 🚀 MODIFIED: Schema-checked reply (structured output where the provider has it), field
+  // validators, one retry with the errors fed back. Failures are counted in this.metrics.
+  async extractContactInfo(resumeText) {
+    if (!resumeText || resumeText.trim() === '') {
+      logger.warn('⚠️ No resume text provided for GPT extraction');
+      return { ...EMPTY_CONTACT_INFO };
+    }
+
+    try {
+      logger.info(`🤖 Extracting contact info with ${this.provider.model} (${this.provider.name})...`);
+
+      const result = await this.completeJSON({
+        task: 'contact_info',
+        prompt: `${CONFIG.GPT_PROMPT}\n\n${resumeText}`,
+        schema: CONTACT_INFO_SCHEMA,
+        validators: CONTACT_INFO_VALIDATORS
+      });
+
+      if (!result.value) {
+        return { ...EMPTY_CONTACT_INFO };
+      }
+
+      logger.info(`🤖 GPT extraction result: ${JSON.stringify(result.value)}`);
+      return result.value;
+
+    } catch (error) {
+      logger.error(`❌ GPT extraction error:`, {
+        message: error.message,
+        provider: this.provider.name,
+        resumeLength: resumeText?.length || 0
+      });
+      return { ...EMPTY_CONTACT_INFO };
+    }
+  }
+
+  // 🚀 NEW: Contact info plus profile fields in one call (PROFILE_SCHEMA). null when the reply never
+  // validated or the call failed - the caller falls back to extractContactInfo.
+  async extractProfile(resumeText) {
+    if (!resumeText || resumeText.trim() === '') {
+      logger.warn('⚠️ No resume text provided for GPT profile extraction');
+      return null;
+    }
+
+    try {
+      logger.info(`🤖 Extracting candidate profile with ${this.provider.model} (${this.provider.name})...`);
+
+      const result = await this.completeJSON({
+        task: 'profile',
+        prompt: `${CONFIG.GPT_PROFILE_PROMPT}\n\n${resumeText}`,
+        schema: PROFILE_SCHEMA,
+        validators: PROFILE_VALIDATORS,
+        maxTokens: CONFIG.GPT_PROFILE_MAX_TOKENS
+      });
+
+      if (result.value) {
+        logger.info(`🤖 GPT profile: ${[result.value.current_title, result.value.current_employer].filter(Boolean).join(' @ ') || 'no current role'}, ${result.value.total_experience_years ?? '?'} years, ${result.value.key_skills.length} skill(s)`);
+      }
+      return result.value;
+
+    } catch (error) {
+      logger.error(`❌ GPT profile extraction error:`, {
+        message: error.message,
+        provider: this.provider.name,
+        resumeLength: resumeText?.length || 0
+      });
+      return null;
+    }
+  }
+
+  // 🚀 NEW: { score, rationale, red_flags } for the candidate against a job description. null when
+  // the reply never validated, has no usable score, or the call failed.
+  async scoreFit({ jobTitle, jobDescription, candidate, resumeText }) {
+    try {
+      logger.info(`🤖 Scoring fit for ${jobTitle || 'job'} with ${this.provider.model} (${this.provider.name})...`);
+
+      const result = await this.completeJSON({
+        task: 'fit_score',
+        prompt: `${CONFIG.FIT_SCORE_PROMPT}\n\nJOB: ${jobTitle || 'Untitled'}\n${jobDescription}\n\nCANDIDATE:\n${candidate}\n\nRESUME TEXT:\n${resumeText}`,
+        schema: FIT_SCORE_SCHEMA,
+        validators: FIT_SCORE_VALIDATORS,
+        maxTokens: CONFIG.FIT_SCORE_MAX_TOKENS
+      });
+
+      // A fit score without its score is no use for ranking
+      if (result.value?.score === null || result.value?.score === undefined) return null;
+      return result.value;
+
+    } catch (error) {
+      logger.error(`❌ GPT fit scoring error:`, {
+        message: error.message,
+        provider: this.provider.name,
+        resumeLength: resumeText?.length || 0
+      });
+      return null;
+    }
+  }
+
+  // { value, attempts, errors } - value is null when the reply never matched the schema or the
+  // spend cap stopped the call. Fields that fail their validator on the last attempt are nulled
+  // and counted, the rest is kept. API errors are counted and thrown.
+  async completeJSON({ task, prompt, schema, validators = {}, maxTokens = CONFIG.GPT_MAX_TOKENS }) {
+    const metrics = this.taskMetrics(task);
+    const messages = [{ role: 'user', content: prompt }];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      // 🚀 NEW: The spend cap is checked before every call, retries included
+      if (!(await this.withinBudget())) {
+        metrics.skipped++;
+        logger.warn(`⏭️ ${task} call skipped - LLM daily spend cap reached`);
+        return { value: null, attempts: attempt - 1, errors: ['LLM daily spend cap reached'] };
+      }
+      metrics.calls++;
+
+      let response;
+      try {
+        response = await this.client.chat.completions.create({
+          model: this.provider.model,
+          messages,
+          max_tokens: maxTokens,
+          temperature: CONFIG.GPT_TEMPERATURE,
+          ...this.responseFormat(task, schema)
+        });
+      } catch (error) {
+        metrics.failed++;
+        metrics.failures.api++;
+        throw error;
+      }
+      this.recordUsage(response.usage, task);
+
+      const message = response.choices[0]?.message || {};
+      const checked = this.checkReply(message, schema, validators);
+      errors = [...checked.schemaErrors, ...checked.fieldErrors.map(({ reason }) => reason)];
+
+      if (errors.length === 0) {
+        if (attempt > 1) metrics.repaired++;
+        return { value: checked.value, attempts: attempt, errors: [] };
+      }
+
+      logger.warn(`⚠️ Invalid ${task} reply from ${this.provider.model} (attempt ${attempt}): ${errors.join('; ')}`);
+
+      if (attempt === 1) {
+        metrics.retries++;
+        messages.push(
+          { role: 'assistant', content: message.content || '' },
+          { role: 'user', content: `Your reply did not pass validation:\n- ${errors.join('\n- ')}\n\nReply again with ONLY a JSON object matching this schema (use null for anything not found):\n${JSON.stringify(schema)}` }
+        );
+        continue;
+      }
+
+      // Only field validators failed - keep the valid fields rather than losing everything
+      if (checked.schemaErrors.length === 0) {
+        for (const { field } of checked.fieldErrors) {
+          metrics.invalidFields[field] = (metrics.invalidFields[field] || 0) + 1;
+        }
+        return { value: checked.value, attempts: attempt, errors };
+      }
+
+      metrics.failed++;
+      metrics.failures[checked.kind]++;
+      logger.error(`❌ ${task} reply from ${this.provider.model} failed validation twice: ${errors.join('; ')}`);
+      return { value: null, attempts: attempt, errors };
+    }
+  }
+
+  // { value, kind, schemaErrors, fieldErrors: [{ field, reason }] } - value has normalised fields
+  // and nulls where a validator failed
+  checkReply(message, schema, validators) {
+    if (message.refusal) {
+      return { value: null, kind: 'refusal', schemaErrors: [`model refused: ${message.refusal}`], fieldErrors: [] };
+    }
+
+    let parsed;
+    try {
+      parsed = parseJSONReply(message.content || '');
+    } catch (error) {
+      return { value: null, kind: 'parse', schemaErrors: [`reply is not valid JSON: ${error.message}`], fieldErrors: [] };
+    }
+
+    const schemaErrors = validateSchema(parsed, schema);
+    if (schemaErrors.length > 0) {
+      return { value: null, kind: 'schema', schemaErrors, fieldErrors: [] };
+    }
+
+    const value = { ...parsed };
+    const fieldErrors = [];
+    for (const [field, validate] of Object.entries(validators)) {
+      const result = validate(parsed[field]);
+      value[field] = result.value;
+      if (!result.valid) fieldErrors.push({ field, reason: `${field}: ${result.reason}` });
+    }
+
+    return { value, kind: null, schemaErrors, fieldErrors };
+  }
+
+  responseFormat(task, schema) {
+    switch (this.provider.structuredOutput) {
+      case 'json_schema':
+        return { response_format: { type: 'json_schema', json_schema: { name: task, strict: true, schema } } };
+      case 'json_object':
+        return { response_format: { type: 'json_object' } };
+      default:
+        return {};
+    }
+  }
+
+  taskMetrics(task) {
+    this.metrics[task] ||= {
+      calls: 0,
+      retries: 0,
+      repaired: 0,
+      failed: 0,
+      skipped: 0,
+      failures: { api: 0, parse: 0, schema: 0, refusal: 0 },
+      invalidFields: {},
+      usage: emptyUsage()
+    };
+    return this.metrics[task];
+  }
+
+  // 🚀 NEW: Add a response's usage block to the run totals (and the task's). Providers that omit
+  // usage count as a call with no tokens.
+  recordUsage(usage, task = null) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const costUsd = this.price ? (promptTokens * this.price.input + completionTokens * this.price.output) / 1e6 : 0;
+
+    for (const totals of [this.usage, task && this.taskMetrics(task).usage].filter(Boolean)) {
+      totals.calls++;
+      totals.promptTokens += promptTokens;
+      totals.completionTokens += completionTokens;
+      totals.totalTokens += promptTokens + completionTokens;
+      totals.costUsd = roundCost(totals.costUsd + costUsd);
+      if (!this.price) totals.unpricedCalls++;
+    }
+
+    logger.debug(`🪙 ${task || 'LLM call'}: ${promptTokens} prompt + ${completionTokens} completion tokens${this.price ? ` ($${costUsd.toFixed(6)})` : ''}`);
+  }
+
+  // 🚀 NEW: Whether today's spend (UTC) is still under the daily cap (always, with no cap set).
+  // Today's spend is read from storage once per day; calls made since are added locally.
+  async withinBudget() {
+    if (!(this.dailyCapUsd > 0)) return true;
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (this.budget.day !== today) {
+      await this.flushUsage();
+      const spentUsd = this.storage ? await this.storage.getDailyLLMSpend(today) : 0;
+      this.budget = { ...this.budget, day: today, spentUsd, exhausted: false };
+      logger.info(`💸 LLM spend so far on ${today}: $${spentUsd.toFixed(4)} of $${this.dailyCapUsd} cap`);
+    }
+
+    const spentUsd = this.budget.spentUsd + this.usageSince(this.usageFlushed).costUsd;
+    if (spentUsd < this.dailyCapUsd) return true;
+
+    if (!this.budget.exhausted) {
+      this.budget.exhausted = true;
+      logger.warn(`⚠️ LLM daily spend cap reached ($${spentUsd.toFixed(4)} of $${this.dailyCapUsd}) - skipping GPT until tomorrow (UTC)`);
+    }
+    this.budget.skippedCalls++;
+    return false;
+  }
+
+  // 🚀 NEW: Add the usage since the last flush to today's row in the LLM usage table
+  async flushUsage() {
+    const usage = this.usageSince(this.usageFlushed);
+    if (usage.calls === 0) return;
+
+    this.usageFlushed = this.usageSnapshot();
+    const today = new Date().toISOString().slice(0, 10);
+
+    if (this.storage && !this.dryRun) {
+      await this.storage.recordDailyLLMUsage(today, {
+        provider: this.provider.name,
+        model: this.provider.model,
+        ...usage
+      });
+    }
+    if (this.budget.day === today) {
+      this.budget.spentUsd += usage.costUsd;
+    }
+  }
+
+  // Copy of the run totals, to measure one applicant's calls with usageSince()
+  usageSnapshot() {
+    return { ...this.usage };
+  }
+
+  usageSince(snapshot) {
+    return {
+      calls: this.usage.calls - snapshot.calls,
+      promptTokens: this.usage.promptTokens - snapshot.promptTokens,
+      completionTokens: this.usage.completionTokens - snapshot.completionTokens,
+      totalTokens: this.usage.totalTokens - snapshot.totalTokens,
+      costUsd: roundCost(this.usage.costUsd - snapshot.costUsd),
+      unpricedCalls: this.usage.unpricedCalls - snapshot.unpricedCalls
+    };
+  }
+
+  // 🚀 MODIFIED: Run totals from the usage block of every response, plus the per-task split
+  async getUsage() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      price: this.price,
+      ...this.usage,
+      tasks: Object.fromEntries(Object.entries(this.metrics).map(([task, metrics]) => [task, metrics.usage]))
+    };
+  }
+}
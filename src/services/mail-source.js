@@ -0,0 +1,20 @@
+// Mail source selected by CONFIG.MAIL_SOURCE - shared by the processor and the health check
+import { CONFIG } from '../config.js';
+import { GmailService } from './gmail.js';
+import { ImapMailService } from './imap.js';
+import { LocalMailService } from './local-mail.js';
+
+export const MAIL_SOURCES = {
+  gmail: { name: 'Gmail', service: GmailService },
+  imap: { name: 'IMAP', service: ImapMailService },
+  local: { name: 'Local Mail Files', service: LocalMailService }
+};
+
+// { name, service } for a MAIL_SOURCE value; every service has the GmailService interface
+export function mailSourceFor(source = CONFIG.MAIL_SOURCE) {
+  const entry = MAIL_SOURCES[source];
+  if (!entry) {
+    throw new Error(`Unknown MAIL_SOURCE "${source}" (expected ${Object.keys(MAIL_SOURCES).join(', ')})`);
+  }
+  return entry;
+}
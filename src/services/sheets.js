@@ -1,13 +1,102 @@
 import { google } from 'googleapis';
 import { CONFIG } from '../config.js';
 import { createLogger } from '../utils/logger.js';
+import { formatProvenance } from '../utils/provenance.js';
+import { summarizeResumeProfile } from '../utils/resume.js';
+import { getKnownQuestions } from '../utils/screening.js';
 import { OAuth2AuthService } from './oauth-auth.js';
 
 const logger = createLogger();
 
+// Sheet columns - rows are matched to the sheet's header row by name, new headers get appended
+const SHEET_COLUMNS = [
+  { header: 'Message ID', value: (applicant, messageId) => messageId || applicant.message_id },
+  { header: 'Name', value: applicant => applicant.name },
+  { header: 'Title', value: applicant => applicant.title },
+  { header: 'Location', value: applicant => applicant.location },
+  { header: 'Expected Compensation', value: applicant => applicant.expected_compensation },
+  { header: 'Project ID', value: applicant => applicant.project_id },
+  { header: 'Screening Questions', value: applicant => applicant.screening_questions },
+  { header: 'Resume Raw Text', value: applicant => applicant.resume_raw_text },
+  { header: 'Resume Drive Link', value: applicant => applicant.resume_drive_link },
+  { header: 'Mobile Number', value: applicant => applicant.mobile_number },
+  { header: 'Email', value: applicant => applicant.email },
+  { header: 'LinkedIn URL', value: applicant => applicant.linkedin_url },
+  { header: 'Processed At', value: applicant => applicant.processed_at },
+  { header: 'Source', value: applicant => applicant.source },
+  { header: 'Confidence', value: applicant => applicant.confidence },
+  { header: 'Low Confidence Fields', value: applicant => (applicant.low_confidence_fields || []).join(', ') },
+  { header: 'Provenance', value: applicant => formatProvenance(applicant.field_provenance) },
+  { header: 'Expected Compensation (Annual)', value: applicant => applicant.expected_compensation_annual },
+  { header: 'Current Compensation (Annual)', value: applicant => applicant.current_compensation_annual },
+  { header: 'Compensation Currency', value: applicant => applicant.compensation_currency },
+  { header: 'City', value: applicant => applicant.location_city },
+  { header: 'Region', value: applicant => applicant.location_region },
+  { header: 'Country', value: applicant => applicant.location_country_code },
+  { header: 'Work Mode', value: applicant => applicant.work_mode },
+  { header: 'Location Recognised', value: applicant => applicant.location_recognized === null ? null : (applicant.location_recognized ? 'Yes' : 'No') },
+  { header: 'Experience (Years)', value: applicant => applicant.resume_experience_years },
+  { header: 'Latest Role', value: applicant => summarizeResumeProfile(applicant.resume_profile).latestRole },
+  { header: 'Employment History', value: applicant => summarizeResumeProfile(applicant.resume_profile).employmentHistory },
+  { header: 'Education', value: applicant => summarizeResumeProfile(applicant.resume_profile).education },
+  { header: 'Certifications', value: applicant => summarizeResumeProfile(applicant.resume_profile).certifications },
+  { header: 'Skills', value: applicant => joinSkills(applicant.skills) || summarizeResumeProfile(applicant.resume_profile).skills },
+  { header: 'Required Skills Met (%)', value: applicant => applicant.required_skill_coverage === null || applicant.required_skill_coverage === undefined ? null : Math.round(applicant.required_skill_coverage * 100) },
+  { header: 'Matched Skills', value: applicant => joinSkills([...(applicant.skill_match?.matched_required || []), ...(applicant.skill_match?.matched_nice_to_have || [])]) },
+  { header: 'Missing Required Skills', value: applicant => joinSkills(applicant.skill_match?.missing_required) },
+  { header: 'Extra Skills', value: applicant => joinSkills(applicant.skill_match?.extra) },
+  { header: 'Cover Letter Drive Link', value: applicant => applicant.cover_letter_drive_link },
+  { header: 'Portfolio Drive Link', value: applicant => applicant.portfolio_drive_link },
+  { header: 'Other Attachments', value: applicant => (applicant.attachments || []).filter(file => file.type === 'other' && file.drive_link).map(file => `${file.filename}: ${file.drive_link}`).join('\n') || null },
+  { header: 'Same Resume As', value: applicant => (applicant.same_resume_as || []).join(', ') || null },
+  { header: 'Current Title', value: applicant => applicant.current_title },
+  { header: 'Current Employer', value: applicant => applicant.current_employer },
+  { header: 'Total Experience (Years)', value: applicant => applicant.total_experience_years },
+  { header: 'Notice Period', value: applicant => applicant.notice_period },
+  { header: 'Highest Degree', value: applicant => applicant.highest_degree },
+  { header: 'Key Skills', value: applicant => joinSkills(applicant.key_skills) },
+  { header: 'GitHub', value: applicant => applicant.github_url },
+  { header: 'Portfolio URL', value: applicant => applicant.portfolio_url },
+  { header: 'Profile Summary', value: applicant => applicant.profile_summary },
+  { header: 'Fit Score', value: applicant => applicant.fit_score },
+  { header: 'Fit Rationale', value: applicant => applicant.fit_rationale },
+  { header: 'Fit Red Flags', value: applicant => (applicant.fit_red_flags || []).join('\n') || null }
+];
+
+function joinSkills(skills) {
+  return skills?.length ? skills.join(', ') : null;
+}
+
+// 1 → A, 26 → Z, 27 → AA
+function columnLetter(index) {
+  let letter = '';
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letter;
+}
+
+// 🚀 NEW: One column per known screening question (config/screening-questions.json), after the fixed ones
+function screeningColumns() {
+  return getKnownQuestions().map(question => ({
+    header: `Q: ${question.label}`,
+    value: applicant => {
+      const answer = (applicant.screening_answers || []).find(record => record.key === question.key);
+      if (!answer) return null;
+      if (answer.value !== null && answer.value !== undefined) return answer.value;
+      if (answer.answer) return answer.answer;
+      return answer.met === null ? null : (answer.met ? 'Met' : 'Not met');
+    }
+  }));
+}
+
 export class SheetsService {
   constructor() {
     this.authService = new OAuth2AuthService();
+    this.columns = [...SHEET_COLUMNS, ...screeningColumns()];
+    this.headerOrder = null;
   }
 
   async testConnection() {
@@ -45,31 +134,36 @@ export class SheetsService {
       const auth = await this.authService.getAuthClient();
       const sheets = google.sheets({ version: 'v4', auth });
       
+      const headers = this.columns.map(column => column.header);
+      
       // Check if headers exist
       const response = await sheets.spreadsheets.values.get({
         spreadsheetId: CONFIG.GOOGLE_SHEET_ID,
-        range: 'A1:M1'  // Updated to include Message ID column
+        range: '1:1'
       });
       
-      if (!response.data.values || response.data.values.length === 0) {
-        // Add headers matching database schema including Message ID
-        const headers = [
-          'Message ID', 'Name', 'Title', 'Location', 'Expected Compensation',
-          'Project ID', 'Screening Questions', 'Resume Raw Text',
-          'Resume Drive Link', 'Mobile Number', 'Email',
-          'LinkedIn URL', 'Processed At'
-        ];
-        
+      const existingHeaders = response.data.values?.[0] || [];
+      
+      // 🚀 NEW: Rows are written by header name, so new columns only ever get appended on the right
+      const missingHeaders = headers.filter(header => !existingHeaders.includes(header));
+      this.headerOrder = [...existingHeaders, ...missingHeaders];
+      
+      if (missingHeaders.length > 0) {
+        // Add (or extend) headers matching database schema including Message ID
         await sheets.spreadsheets.values.update({
           spreadsheetId: CONFIG.GOOGLE_SHEET_ID,
-          range: 'A1:M1',
+          range: `A1:${columnLetter(this.headerOrder.length)}1`,
           valueInputOption: 'RAW',
           requestBody: {
-            values: [headers]
+            values: [this.headerOrder]
           }
         });
         
-        logger.info('📊 Added headers to sheet with Message ID');
+        if (existingHeaders.length === 0) {
+          logger.info('📊 Added headers to sheet with Message ID');
+        } else {
+          logger.info(`📊 Extended sheet headers: ${missingHeaders.join(', ')}`);
+        }
       } else {
         logger.info('📊 Headers already exist in sheet');
       }
@@ -84,26 +178,17 @@ export class SheetsService {
       const auth = await this.authService.getAuthClient();
       const sheets = google.sheets({ version: 'v4', auth });
       
-      // Match exact database schema order including Message ID
-      const rowData = [
-        messageId || applicantData.message_id || '',  // Message ID first
-        applicantData.name || '',
-        applicantData.title || '',
-        applicantData.location || '',
-        applicantData.expected_compensation || '',
-        applicantData.project_id || '',
-        applicantData.screening_questions || '',
-        applicantData.resume_raw_text || '',
-        applicantData.resume_drive_link || '',
-        applicantData.mobile_number || '',
-        applicantData.email || '',
-        applicantData.linkedin_url || '',
-        applicantData.processed_at || ''
-      ];
+      // Match the sheet's header order (columns we don't know about stay blank)
+      const headerOrder = this.headerOrder || this.columns.map(column => column.header);
+      const rowData = headerOrder.map(header => {
+        const column = this.columns.find(candidate => candidate.header === header);
+        const value = column ? column.value(applicantData, messageId) : null;
+        return value === null || value === undefined ? '' : value;
+      });
       
       await sheets.spreadsheets.values.append({
         spreadsheetId: CONFIG.GOOGLE_SHEET_ID,
-        range: 'A:M',
+        range: `A:${columnLetter(headerOrder.length)}`,
         valueInputOption: 'RAW',
         requestBody: {
           values: [rowData]
@@ -1,6 +1,7 @@
 // src/services/supabase.js - Enhanced error handling
 import { createClient } from '@supabase/supabase-js';
 import { CONFIG } from '../config.js';
+import { countBy } from '../utils/location.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger();
@@ -140,13 +141,58 @@ export class SupabaseService {
         name: applicantData.name || null,
         title: applicantData.title || null,
         location: applicantData.location || null,
+        location_details: applicantData.location_details || null,
+        location_city: applicantData.location_city || null,
+        location_region: applicantData.location_region || null,
+        location_country_code: applicantData.location_country_code || null,
+        work_mode: applicantData.work_mode || null,
+        location_recognized: applicantData.location_recognized ?? null,
         expected_compensation: applicantData.expected_compensation || null,
         project_id: applicantData.project_id || null,
         screening_questions: applicantData.screening_questions || null,
+        screening_answers: applicantData.screening_answers || [],
+        compensation: applicantData.compensation || [],
+        expected_compensation_annual: applicantData.expected_compensation_annual ?? null,
+        current_compensation_annual: applicantData.current_compensation_annual ?? null,
+        compensation_currency: applicantData.compensation_currency || null,
+        source: applicantData.source || null,
         resume_raw_text: applicantData.resume_raw_text || null,
+        resume_profile: applicantData.resume_profile || null,
+        resume_experience_years: applicantData.resume_experience_years ?? null,
+        current_employer: applicantData.current_employer || null,
+        current_title: applicantData.current_title || null,
+        total_experience_years: applicantData.total_experience_years ?? null,
+        notice_period: applicantData.notice_period || null,
+        notice_period_days: applicantData.notice_period_days ?? null,
+        highest_degree: applicantData.highest_degree || null,
+        key_skills: applicantData.key_skills || [],
+        github_url: applicantData.github_url || null,
+        portfolio_url: applicantData.portfolio_url || null,
+        profile_summary: applicantData.profile_summary || null,
+        skills: applicantData.skills || [],
+        skill_match: applicantData.skill_match || null,
+        required_skill_coverage: applicantData.required_skill_coverage ?? null,
+        fit_score: applicantData.fit_score ?? null,
+        fit_rationale: applicantData.fit_rationale || null,
+        fit_red_flags: applicantData.fit_red_flags || [],
+        fit_job_key: applicantData.fit_job_key || null,
+        llm_calls: applicantData.llm_calls ?? 0,
+        llm_prompt_tokens: applicantData.llm_prompt_tokens ?? 0,
+        llm_completion_tokens: applicantData.llm_completion_tokens ?? 0,
+        llm_cost_usd: applicantData.llm_cost_usd ?? null,
         mobile_number: applicantData.mobile_number || null,
         linkedin_url: applicantData.linkedin_url || null,
         resume_drive_link: applicantData.resume_drive_link || null,
+        cover_letter_text: applicantData.cover_letter_text || null,
+        cover_letter_drive_link: applicantData.cover_letter_drive_link || null,
+        portfolio_text: applicantData.portfolio_text || null,
+        portfolio_drive_link: applicantData.portfolio_drive_link || null,
+        attachments: applicantData.attachments || [],
+        resume_sha256: applicantData.resume_sha256 || null,
+        same_resume_as: applicantData.same_resume_as || [],
+        field_provenance: applicantData.field_provenance || null,
+        confidence: applicantData.confidence ?? null,
+        low_confidence_fields: applicantData.low_confidence_fields || [],
         processed_at: new Date().toISOString()
       };
 
@@ -179,7 +225,7 @@ export class SupabaseService {
       const data = await this.retryOperation(async () => {
         const { data, error } = await this.supabase
           .from(CONFIG.TABLE_NAME)
-          .select('email, processed_at, mobile_number, linkedin_url, resume_drive_link, message_id');
+          .select('email, processed_at, mobile_number, linkedin_url, resume_drive_link, message_id, location_city, location_country_code');
         
         if (error) throw error;
         return data;
@@ -191,11 +237,13 @@ export class SupabaseService {
         withLinkedIn: data.filter(a => a.linkedin_url).length,
         withResume: data.filter(a => a.resume_drive_link).length,
         withMessageId: data.filter(a => a.message_id).length,
+        byCountry: countBy(data, a => a.location_country_code),
+        byCity: countBy(data, a => a.location_city && `${a.location_city}, ${a.location_country_code}`),
         latest: data.length > 0 ? data.sort((a, b) => new Date(b.processed_at) - new Date(a.processed_at))[0] : null
       };
     } catch (error) {
       logger.error(`❌ Error getting applicant stats:`, error.message);
-      return { total: 0, withMobile: 0, withLinkedIn: 0, withResume: 0, withMessageId: 0, latest: null };
+      return { total: 0, withMobile: 0, withLinkedIn: 0, withResume: 0, withMessageId: 0, byCountry: {}, byCity: {}, latest: null };
     }
   }
 }
\ No newline at end of file
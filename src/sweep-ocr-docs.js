@@ -0,0 +1,41 @@
+// Maintenance: delete orphaned Drive OCR temp docs (ocr_<timestamp>_<name>)
+//   node src/sweep-ocr-docs.js [--dry-run] [--older-than=<hours>]
+import { createLogger } from './utils/logger.js';
+import { DriveService, parseSweepArgs } from './services/drive.js';
+import { StorageManager } from './utils/storage.js';
+
+const logger = createLogger();
+
+async function runSweep() {
+  const options = parseSweepArgs(process.argv.slice(2));
+  const drive = new DriveService({ storage: new StorageManager() });
+
+  logger.info(`🧹 Sweeping OCR temp docs older than ${options.olderThanHours}h${options.dryRun ? ' (dry run)' : ''}`);
+
+  const report = await drive.sweepTempDocs(options);
+
+  if (options.dryRun) {
+    for (const entry of report.journaled) {
+      logger.info(`   Would delete (journal): ${entry.name} (${entry.id}, created ${entry.created_at})`);
+    }
+  }
+
+  for (const doc of report.docs) {
+    logger.info(`   ${options.dryRun ? 'Would delete' : 'Found'}: ${doc.name} (${doc.id}, created ${doc.createdTime})`);
+  }
+
+  if (options.dryRun) {
+    logger.info(`📋 Dry run: ${report.found} stale OCR temp doc(s) would be deleted`);
+  } else {
+    logger.info(`✅ Deleted ${report.deleted}/${report.found} stale OCR temp doc(s)${report.failed ? `, ${report.failed} failed` : ''}`);
+  }
+
+  if (report.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runSweep().catch(error => {
+  logger.error('💥 OCR temp doc sweep failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+// src/utils/archive.js - In-memory ZIP unpacking with size / count limits and zip-bomb protection
+import { Unzip, UnzipInflate, UnzipPassThrough } from 'fflate';
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip'];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// Contained files carry no MIME type - the extension decides, matching DriveService's formats
+const ENTRY_MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  rtf: 'application/rtf',
+  txt: 'text/plain',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  zip: 'application/zip'
+};
+
+// Text and padding compress far beyond 100:1 legitimately - the ratio only matters for large output
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+// OS metadata that rides along in archives made on macOS / Windows
+const JUNK_ENTRY = /(?:^|\/)(?:__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(?:\/|$)|(?:^|\/)\._/i;
+
+// "../../etc/passwd", "C:\\Users\\me\\cv.pdf", "/abs/path" → path segments without traversal or
+// control characters; null when nothing usable is left
+export function sanitizeEntryPath(rawPath) {
+  const segments = (rawPath || '')
+    .replace(/\\/g, '/')
+    .replace(/^[a-zA-Z]:/, '')
+    .split('/')
+    .map(segment => segment.replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '').trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+export class ArchiveExtractor {
+  constructor({
+    maxFiles = CONFIG.ZIP_MAX_FILES,
+    maxFileSize = CONFIG.ZIP_MAX_FILE_SIZE,
+    maxTotalSize = CONFIG.ZIP_MAX_TOTAL_SIZE,
+    maxCompressionRatio = CONFIG.ZIP_MAX_COMPRESSION_RATIO
+  } = {}) {
+    this.maxFiles = maxFiles;
+    this.maxFileSize = maxFileSize;
+    this.maxTotalSize = maxTotalSize;
+    this.maxCompressionRatio = maxCompressionRatio;
+  }
+
+  isArchive(mimeType, filename = '', content = null) {
+    if (ZIP_MIME_TYPES.includes(mimeType)) return true;
+    if (/\.zip$/i.test(filename)) return true;
+    return Boolean(content && ZIP_SIGNATURE.every((byte, i) => content[i] === byte) && !/\.(?:docx|xlsx|pptx|odt|jar)$/i.test(filename));
+  }
+
+  // { files: [{ filename, path, mimeType, size, content }], skipped: [{ path, reason }] }
+  // Sizes are counted while inflating, so a lying header can't get more out than the limits allow
+  extract(archiveBuffer, archiveName) {
+    if (!ZIP_SIGNATURE.every((byte, i) => archiveBuffer[i] === byte)) {
+      throw new Error(`${archiveName} is not a ZIP archive`);
+    }
+
+    const files = [];
+    const skipped = [];
+    let totalSize = 0;
+
+    const unzip = new Unzip();
+    unzip.register(UnzipInflate);
+    unzip.register(UnzipPassThrough);
+
+    unzip.onfile = entry => {
+      if (entry.name.endsWith('/')) return;
+
+      const path = sanitizeEntryPath(entry.name);
+      const skip = reason => {
+        skipped.push({ path: path || entry.name, reason });
+        logger.warn(`⚠️ Skipping ${entry.name} in ${archiveName}: ${reason}`);
+      };
+
+      if (!path) return skip('Unsafe or empty path');
+      if (JUNK_ENTRY.test(path)) return;
+
+      const filename = path.split('/').pop();
+      const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+      const mimeType = ENTRY_MIME_TYPES[extension];
+
+      if (!mimeType) return skip(`Unsupported file type: .${extension || '(none)'}`);
+      if (mimeType === 'application/zip') return skip('Nested archives are not unpacked');
+      if (files.length >= this.maxFiles) return skip(`Archive file limit reached (${this.maxFiles})`);
+      if (entry.originalSize > this.maxFileSize) return skip(`Declared size ${entry.originalSize} bytes exceeds ${this.maxFileSize}`);
+      if (totalSize + (entry.originalSize || 0) > this.maxTotalSize) return skip(`Archive total size limit reached (${this.maxTotalSize} bytes)`);
+
+      const chunks = [];
+      let size = 0;
+      let aborted = false;
+
+      entry.ondata = (error, chunk, final) => {
+        if (aborted) return;
+
+        if (error) {
+          aborted = true;
+          return skip(`Could not decompress: ${error.message}`);
+        }
+
+        size += chunk.length;
+        const ratio = entry.size > 0 && size > RATIO_CHECK_MIN_SIZE ? size / entry.size : 0;
+
+        if (size > this.maxFileSize || totalSize + size > this.maxTotalSize || ratio > this.maxCompressionRatio) {
+          aborted = true;
+          entry.terminate();
+          return skip(ratio > this.maxCompressionRatio
+            ? `Compression ratio above ${this.maxCompressionRatio}:1 (possible zip bomb)`
+            : 'Inflated size exceeds the archive limits (possible zip bomb)');
+        }
+
+        chunks.push(chunk);
+
+        if (final) {
+          totalSize += size;
+          files.push({
+            filename,
+            path,
+            mimeType,
+            size,
+            content: Buffer.concat(chunks)
+          });
+        }
+      };
+
+      try {
+        entry.start();
+      } catch (error) {
+        aborted = true;
+        skip(`Could not decompress: ${error.message}`);
+      }
+    };
+
+    try {
+      unzip.push(new Uint8Array(archiveBuffer), true);
+    } catch (error) {
+      throw new Error(`Invalid ZIP archive ${archiveName}: ${error.message}`);
+    }
+
+    logger.info(`🗜️ Unpacked ${archiveName}: ${files.length} file(s), ${skipped.length} skipped, ${totalSize} bytes`);
+    return { files, skipped };
+  }
+}
@@ -0,0 +1,127 @@
+// src/utils/attachments.js - Attachment → resume / cover_letter / portfolio / other, from filename and text
+import { createLogger } from './logger.js';
+import { findSectionHeadings } from './resume.js';
+
+const logger = createLogger();
+
+export const ATTACHMENT_TYPES = ['resume', 'cover_letter', 'portfolio', 'other'];
+
+// Filename hints - a named file is a strong signal, so these outweigh a single content hint
+const FILENAME_SIGNALS = {
+  resume: /\b(?:resume\d*|résumé|cv\d*|curriculum vitae|bio ?data)\b/,
+  cover_letter: /\b(?:cover(?:ing)? ?letter|motivation(?:al)? letter|letter of (?:motivation|interest|application|intent)|cl)\b/,
+  portfolio: /\b(?:portfolio|work ?samples?|design ?samples?|writing ?samples?|case ?stud(?:y|ies)|showreel|behance|dribbble)\b/,
+  other: /\b(?:certificates?|certification|transcripts?|mark ?sheets?|grade ?card|degree|diploma|pay ?slips?|salary ?slips?|offer ?letter|relieving|experience ?letter|aadh?aa?r|pan ?card|passport|photo(?:graph)?|id ?card|recommendation|reference ?letter)\b/
+};
+const FILENAME_WEIGHT = 3;
+
+// "Profile" alone is as often a company profile or a profile photo as a resume - it only counts
+// next to the applicant's own name ("Priya Nair Profile.pdf")
+const PROFILE_WORD = /\bprofile\b/;
+
+const CONTENT_SIGNALS = {
+  cover_letter: [
+    [/^\s*(?:dear\b|to whom it may concern|respected (?:sir|madam|hiring))/im, 2, 'salutation'],
+    [/\b(?:i am writing to|i'm writing to|i am excited to apply|i would like to apply|i wish to apply|please find (?:attached|enclosed) my (?:resume|cv)|thank you for (?:your )?(?:time|consideration))\b/i, 1, 'letter phrasing'],
+    [/^\s*(?:sincerely|yours (?:faithfully|sincerely|truly)|(?:kind|best|warm) regards)\b/im, 1, 'sign-off']
+  ],
+  portfolio: [
+    [/\b(?:portfolio|selected works?)\b/i, 1, 'portfolio wording'],
+    [/\bcase stud(?:y|ies)\b/i, 1, 'case studies'],
+    [/\b(?:behance\.net|dribbble\.com|artstation\.com)\b/i, 1, 'portfolio site link']
+  ],
+  other: [
+    [/\b(?:this is to certify|certificate of (?:completion|achievement|participation|appreciation)|has successfully completed)\b/i, 2, 'certificate wording'],
+    [/\b(?:statement of marks|grade card|mark ?sheet|official transcript)\b/i, 2, 'academic record'],
+    [/\b(?:offer letter|letter of offer|pay ?slip|salary slip|relieving letter)\b/i, 2, 'employment document']
+  ]
+};
+
+// "Priya Nair" → ["priya", "nair"]; initials and short particles can't identify anyone
+function nameTokens(name) {
+  return (name || '')
+    .toLowerCase()
+    .split(/[^a-z\u00c0-\u024f]+/)
+    .filter(token => token.length >= 3);
+}
+
+function filenameKey(filename) {
+  return (filename || '')
+    .replace(/\.[a-z0-9]{2,5}$/i, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[_\-.()[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export class AttachmentClassifier {
+  // { type, scores, signals } - `other` when nothing points anywhere
+  classify({ filename, text = null, applicantName = null }) {
+    const scores = Object.fromEntries(ATTACHMENT_TYPES.map(type => [type, 0]));
+    const signals = [];
+    const name = filenameKey(filename);
+
+    for (const [type, pattern] of Object.entries(FILENAME_SIGNALS)) {
+      if (pattern.test(name)) {
+        scores[type] += FILENAME_WEIGHT;
+        signals.push(`filename → ${type}`);
+      }
+    }
+
+    const words = name.split(' ');
+    if (!FILENAME_SIGNALS.resume.test(name) && PROFILE_WORD.test(name) && nameTokens(applicantName).some(token => words.includes(token))) {
+      scores.resume += FILENAME_WEIGHT;
+      signals.push('named profile → resume');
+    }
+
+    if (text) {
+      // Headings like Experience / Education / Skills are what make a resume a resume
+      const sections = findSectionHeadings(text);
+      if (sections.length > 0) {
+        scores.resume += Math.min(sections.length, 4);
+        signals.push(`resume sections: ${sections.join(', ')}`);
+      }
+
+      for (const [type, checks] of Object.entries(CONTENT_SIGNALS)) {
+        for (const [pattern, weight, label] of checks) {
+          if (pattern.test(text)) {
+            scores[type] += weight;
+            signals.push(`${label} → ${type}`);
+          }
+        }
+      }
+    }
+
+    // Highest score wins. A tie with `other` goes to `other` - "CV photo.jpg" is a photo and
+    // "Resume certificate.pdf" a certificate; any other tie goes to the earlier type
+    const bestScore = Math.max(...Object.values(scores));
+    const tied = ATTACHMENT_TYPES.filter(type => scores[type] === bestScore);
+    const type = bestScore > 0 && !tied.includes('other') ? tied[0] : 'other';
+
+    logger.debug(`🗂️ ${filename} classified as ${type} (${JSON.stringify(scores)})`);
+    return { type, scores, signals };
+  }
+}
+
+// The resume by classification: the strongest `resume`, else the longest attachment that
+// nothing identified at all (an unlabelled document) - never a cover letter or certificate
+export function chooseResume(attachments) {
+  const textLength = attachment => attachment.text?.length || 0;
+  const byScore = (a, b) => (b.classification.scores.resume - a.classification.scores.resume) || (textLength(b) - textLength(a));
+
+  const resumes = attachments.filter(attachment => attachment.classification.type === 'resume').sort(byScore);
+  if (resumes.length > 0) return resumes[0];
+
+  const unidentified = attachments
+    .filter(attachment => attachment.text)
+    .filter(attachment => attachment.classification.type === 'other' && attachment.classification.scores.other === 0)
+    .sort((a, b) => b.text.length - a.text.length);
+
+  return unidentified[0] || null;
+}
+
+// First attachment of the type (the resume excluded), for the per-type columns
+export function firstOfType(attachments, type, exclude = null) {
+  return attachments.find(attachment => attachment !== exclude && attachment.classification.type === type) || null;
+}
@@ -0,0 +1,162 @@
+// src/utils/compensation.js - "12 LPA" / "₹12,00,000" / "$85k/yr" → { amount, currency, period, kind, ... }
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const NUMBER = '(\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)';
+const SCALE = '(lakhs?|lacs?|lpa|lac|l|crores?|cr|cpa|k|mn|million|m)?';
+const CURRENCY = '(?:INR|Rs\\.?|₹|USD|US\\$|\\$|EUR|€|GBP|£)';
+// "$120,000 - $140,000": the second number may repeat the currency. The lookahead stops "1.5x"
+// from matching as "1"
+const AMOUNT_PATTERN = new RegExp(`${NUMBER}\\s*${SCALE}(?:\\s*(?:-|–|to)\\s*${CURRENCY}?\\s*${NUMBER}\\s*${SCALE})?(?![a-z\\d]|\\.\\d)`, 'i');
+
+// "6 months", "4 years" - a duration, not an amount
+const DURATION_AFTER = /^\s*(?:months?|mos?|years?|yrs?|weeks?|days?)\b/i;
+
+// "Expected CTC: 12 LPA", "current salary is $85k/yr" - keyword, up to 40 chars, then an amount
+const PHRASE_PATTERN = /\b((?:current|present|existing|expected|desired)?\s*(?:annual\s+)?(?:ctc|salary|compensation|package|pay)(?:\s+expectations?)?)\b[^0-9₹$€£\n?]{0,40}\??\s*((?:INR|Rs\.?|₹|USD|US\$|\$|EUR|€|GBP|£)?\s*\d[\d,]*(?:\.\d+)?\s*(?:lakhs?|lacs?|lpa|crores?|cr|k|mn|million|m|l)?(?:\s*(?:-|–|to)\s*(?:INR|Rs\.?|₹|USD|US\$|\$|EUR|€|GBP|£)?\s*\d[\d,]*(?:\.\d+)?\s*(?:lakhs?|lacs?|lpa|crores?|cr|k|mn|million|m|l)?)?(?:\s*(?:\/|per|a|p\.?)\s*(?:year|yr|annum|a\.?|month|mo|m\.?|hour|hr))?)/gi;
+
+const SCALES = {
+  lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, lpa: 1e5, l: 1e5,
+  crore: 1e7, crores: 1e7, cr: 1e7, cpa: 1e7,
+  k: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6
+};
+
+// Explicit symbols / codes first; Indian units only imply INR when no currency is written
+const CURRENCIES = [
+  { code: 'INR', pattern: /₹|\bINR\b|\bRs\.?/i },
+  { code: 'USD', pattern: /\$|\bUSD\b/i },
+  { code: 'EUR', pattern: /€|\bEUR\b/i },
+  { code: 'GBP', pattern: /£|\bGBP\b/i },
+  { code: 'INR', pattern: /\b(?:lakhs?|lacs?|lpa|crores?|cr|ctc)\b/i, implied: true }
+];
+
+const PERIOD_FACTORS = { year: 1, month: 12, hour: 2080 };
+
+export class CompensationParser {
+  constructor(defaultCurrency = CONFIG.DEFAULT_CURRENCY) {
+    this.defaultCurrency = defaultCurrency;
+  }
+
+  // One record per kind (expected / current / unknown): screening answers first, then free text
+  extract({ answers = [], texts = [] } = {}) {
+    const records = [];
+    const add = record => {
+      if (record && !records.some(existing => existing.kind === record.kind)) {
+        records.push(record);
+      }
+    };
+
+    for (const answer of answers) {
+      if (!answer.answer) continue;
+
+      const isCompensation = ['current_ctc', 'expected_ctc'].includes(answer.key) ||
+        /\b(?:ctc|salary|compensation|package|pay)\b/i.test(answer.question);
+      if (!isCompensation) continue;
+
+      // 🚀 MODIFIED: Only answers to the known CTC questions may leave out the unit ("12" → 12 lakhs)
+      const assumeUnit = ['current_ctc', 'expected_ctc'].includes(answer.key);
+      add(this.parse(answer.answer, this.detectKind(`${answer.key || ''} ${answer.question}`), answer.question, { assumeUnit }));
+    }
+
+    for (const text of texts) {
+      if (!text) continue;
+
+      PHRASE_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = PHRASE_PATTERN.exec(text)) !== null) {
+        add(this.parse(match[2], this.detectKind(match[1]), match[1]));
+      }
+    }
+
+    if (records.length > 0) {
+      logger.debug(`💰 Compensation parsed: ${JSON.stringify(records)}`);
+    }
+    return records;
+  }
+
+  // `context` is the label / question the amount was found under (used for currency + period hints).
+  // `assumeUnit` reads a bare number under 1000 as lakhs (INR) or thousands; otherwise it is no amount.
+  parse(text, kind = 'unknown', context = '', { assumeUnit = false } = {}) {
+    if (!text) return null;
+
+    const original = text.replace(/\s+/g, ' ').trim();
+    const match = original.match(AMOUNT_PATTERN);
+    if (!match) return null;
+
+    const hints = `${context} ${original}`;
+    const currency = this.detectCurrency(hints);
+    const period = this.detectPeriod(hints);
+
+    // "10-12 LPA": the scale written after the second number applies to both
+    const scaleWord = (match[2] || match[4] || '').toLowerCase();
+    let scale = SCALES[scaleWord] || 1;
+    let unitAssumed = false;
+
+    const low = parseFloat(match[1].replace(/,/g, ''));
+    const high = match[3] ? parseFloat(match[3].replace(/,/g, '')) : null;
+
+    if (!scaleWord && DURATION_AFTER.test(original.slice(match.index + match[0].length))) return null;
+
+    // A bare "m" is a million only after a written non-INR currency and with no monthly or hourly
+    // period ("$1.5M"). "1.5m per month" or a bare "1.5M" could be anything.
+    if (scaleWord === 'm' && (period !== 'year' || !['USD', 'EUR', 'GBP'].includes(this.writtenCurrency(hints)))) {
+      return null;
+    }
+
+    // Bare small numbers: Indian CTC answers are in lakhs, elsewhere "85" means 85k a year
+    if (!scaleWord && period === 'year' && low < 1000) {
+      if (!assumeUnit) return null;
+      scale = currency === 'INR' ? SCALES.lakh : SCALES.k;
+      unitAssumed = true;
+    }
+
+    const amount = Math.round(low * scale);
+    if (!amount) return null;
+
+    return {
+      kind,
+      amount,
+      ...(high ? { amount_max: Math.round(high * scale) } : {}),
+      currency,
+      period,
+      annual_amount: amount * PERIOD_FACTORS[period],
+      original_text: original,
+      ...(unitAssumed ? { unit_assumed: true } : {})
+    };
+  }
+
+  detectKind(text) {
+    if (/\b(?:expected|desired|expectations?|expecting)\b|expected_ctc/i.test(text)) return 'expected';
+    if (/\b(?:current|present|existing|last drawn)\b|current_ctc/i.test(text)) return 'current';
+    return 'unknown';
+  }
+
+  detectCurrency(text) {
+    const found = CURRENCIES.find(currency => currency.pattern.test(text));
+    return found ? found.code : this.defaultCurrency;
+  }
+
+  // The currency written as a symbol or code, null when only implied by a unit or defaulted
+  writtenCurrency(text) {
+    return CURRENCIES.find(currency => !currency.implied && currency.pattern.test(text))?.code || null;
+  }
+
+  detectPeriod(text) {
+    if (/(?:\/|\bper\s+|\ba\s+|\bp\.?)\s*(?:hour|hr|h)\b|\bhourly\b/i.test(text)) return 'hour';
+    if (/(?:\/|\bper\s+|\ba\s+)\s*(?:month|mo|m)\b|\bmonthly\b|\bp\.?m\.?(?![a-z])/i.test(text)) return 'month';
+    return 'year';
+  }
+}
+
+// Convenience accessors for the flat columns
+export function findCompensation(records, kind) {
+  return (records || []).find(record => record.kind === kind) || null;
+}
+
+// Expected pay for sorting: an explicit "expected" record, else an unlabelled one
+export function expectedCompensation(records) {
+  return findCompensation(records, 'expected') || findCompensation(records, 'unknown');
+}
@@ -0,0 +1,96 @@
+// src/utils/job-descriptions.js - Job descriptions by project_id or job title, from files or Supabase
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const JOB_DESCRIPTION_SOURCES = ['files', 'supabase'];
+const FILE_EXTENSIONS = ['.md', '.txt'];
+
+// "Senior Backend Engineer (Remote)" → "senior-backend-engineer-remote"
+export function jobKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export class JobDescriptionStore {
+  // storage: StorageManager, only needed for the 'supabase' source
+  constructor({ source = CONFIG.JOB_DESCRIPTIONS_SOURCE, dir = CONFIG.JOB_DESCRIPTIONS_PATH, storage = null } = {}) {
+    if (!JOB_DESCRIPTION_SOURCES.includes(source)) {
+      throw new Error(`Unknown JOB_DESCRIPTIONS_SOURCE "${source}" (expected ${JOB_DESCRIPTION_SOURCES.join(', ')})`);
+    }
+
+    this.source = source;
+    this.dir = dir;
+    this.storage = storage;
+    this.files = null;
+    // `${projectId}|${title}` → Promise<description | null>, so each job is loaded once per run
+    this.cache = new Map();
+  }
+
+  // { key, title, text, source } or null when neither the project_id nor the title has one
+  find({ projectId = null, title = null } = {}) {
+    if (!projectId && !title) return Promise.resolve(null);
+
+    const cacheKey = `${projectId || ''}|${jobKey(title)}`;
+    if (!this.cache.has(cacheKey)) {
+      this.cache.set(cacheKey, this.source === 'supabase'
+        ? this.findInSupabase(projectId, title)
+        : Promise.resolve(this.findInFiles(projectId, title)));
+    }
+    return this.cache.get(cacheKey);
+  }
+
+  findInFiles(projectId, title) {
+    const files = this.listFiles();
+
+    for (const key of [jobKey(projectId), jobKey(title)].filter(Boolean)) {
+      const file = files.get(key);
+      if (!file) continue;
+
+      try {
+        const text = fs.readFileSync(file, 'utf8').trim();
+        if (text) return { key, title: title || null, text, source: file };
+      } catch (error) {
+        logger.warn(`⚠️ Could not read job description ${file}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  async findInSupabase(projectId, title) {
+    const row = await this.storage.getJobDescription({ projectId, title });
+    if (!row) return null;
+
+    return {
+      key: row.project_id || jobKey(row.title),
+      title: row.title || title || null,
+      text: row.description.trim(),
+      source: CONFIG.JOB_DESCRIPTIONS_TABLE
+    };
+  }
+
+  // key (file name without extension, as a jobKey) → path; a missing directory means no files
+  listFiles() {
+    if (this.files) return this.files;
+
+    this.files = new Map();
+    try {
+      for (const name of fs.readdirSync(this.dir)) {
+        const extension = path.extname(name).toLowerCase();
+        if (!FILE_EXTENSIONS.includes(extension)) continue;
+        this.files.set(jobKey(path.basename(name, path.extname(name))), path.join(this.dir, name));
+      }
+      logger.debug(`📋 ${this.files.size} job description file(s) in ${this.dir}`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not list job descriptions in ${this.dir}: ${error.message}`);
+    }
+
+    return this.files;
+  }
+}
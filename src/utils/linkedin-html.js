@@ -0,0 +1,214 @@
+// src/utils/linkedin-html.js - Structure-aware extraction for LinkedIn's "Your job has a new applicant" email
+import { load } from 'cheerio';
+import { createLogger } from './logger.js';
+import { createProvenance } from './provenance.js';
+
+const logger = createLogger();
+
+const TEMPLATE_MARKER = /your job has a new applicant/i;
+const PROFILE_LINK = 'a[href*="linkedin.com/comm/in/"], a[href*="linkedin.com/in/"]';
+const JOB_LINK = 'a[href*="/jobs/view/"], a[href*="/hiring/jobs/"], a[href*="currentJobId="]';
+const CONNECTION_DEGREE = /^(?:·\s*)?(?:1st|2nd|3rd\+?)$|^·$/i;
+const LINK_CHROME = /^(?:view|see|show|open|manage|review|message|reply)\b/i;
+const SECTION_END = /^(?:view\b|see all|show (?:more|less)|current experience|past experience|unsubscribe|help\b|learn why|you are receiving|this email was intended|©)|^(?:experience|skills|education)$/i;
+const QUALIFICATIONS_LINE = /\d+\s+out\s+of\s+\d+\s+(?:preferred\s+)?qualifications?\s+met/i;
+const BARE_WORK_MODE = /^\(?(?:remote|hybrid|on-?site)\)?$/i;
+
+export class LinkedInHtmlExtractor {
+  constructor(helpers) {
+    // EmailParser instance - reused for location / title cleaning and validation
+    this.helpers = helpers;
+  }
+
+  // Returns null when the markup is not the known template (caller falls back to regex parsing)
+  extract(htmlBody) {
+    if (!htmlBody || !TEMPLATE_MARKER.test(htmlBody)) return null;
+
+    try {
+      const $ = load(htmlBody);
+      $('head, style, script').remove();
+
+      const name = this.extractName($);
+      if (!name) {
+        logger.debug('🧩 LinkedIn template marker found but no applicant profile block');
+        return null;
+      }
+
+      const lines = this.toLines($);
+      const nameIndex = lines.findIndex(line => line === name || line.startsWith(`${name} `));
+
+      const { headline, location } = this.extractProfileLines(lines, nameIndex);
+      const screeningText = this.extractScreening(lines);
+      const jobLink = this.extractJobLink($);
+      const title = this.extractJobTitle(lines, name, jobLink);
+
+      const compensationProvenance = {};
+      const compensation = screeningText
+        ? this.helpers.extractCompensation(screeningText, '', compensationProvenance)
+        : null;
+
+      const result = {
+        name,
+        title: title.value,
+        headline,
+        location,
+        project_id: jobLink.projectId,
+        screening_questions: screeningText,
+        expected_compensation: compensation,
+        provenance: this.buildProvenance({
+          name: name && 'profile link',
+          title: title.rule,
+          location: location && 'profile block',
+          project_id: jobLink.projectId && 'job card link',
+          screening_questions: screeningText && 'qualifications block'
+        })
+      };
+
+      // Compensation is still a regex pick, just run over the qualifications block only
+      const compensationRecord = compensationProvenance.expected_compensation;
+      if (compensationRecord) {
+        result.provenance.expected_compensation = createProvenance(
+          'template',
+          `qualifications block, ${compensationRecord.rule}`,
+          compensationRecord.confidence + 0.1
+        );
+      }
+
+      logger.debug(`🧩 LinkedIn template parsed structurally: ${JSON.stringify(result)}`);
+      return result;
+    } catch (error) {
+      logger.warn(`⚠️ Structured LinkedIn parsing failed, using regex path: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Applicant name = text of the first profile link that is not button chrome
+  extractName($) {
+    const anchors = $(PROFILE_LINK).toArray();
+
+    for (const anchor of anchors) {
+      const text = $(anchor).text()
+        .replace(/\s+/g, ' ')
+        .replace(/\s*·\s*(?:1st|2nd|3rd\+?)\s*$/i, '')
+        .trim();
+
+      if (text && !LINK_CHROME.test(text) && this.helpers.isValidName(text)) {
+        return text;
+      }
+    }
+
+    return null;
+  }
+
+  // Flatten the table layout into visual lines (one per block element)
+  toLines($) {
+    $('br').replaceWith('\n');
+    $('p, div, td, tr, li, h1, h2, h3, h4, h5, h6, table').each((_, element) => {
+      $(element).append('\n');
+    });
+
+    return $.root().text()
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  // Lines under the name: optional connection degree, headline, then location
+  extractProfileLines(lines, nameIndex) {
+    const result = { headline: null, location: null };
+    if (nameIndex < 0) return result;
+
+    const following = lines
+      .slice(nameIndex + 1, nameIndex + 6)
+      .filter(line => !CONNECTION_DEGREE.test(line));
+
+    for (const line of following) {
+      if (SECTION_END.test(line) || QUALIFICATIONS_LINE.test(line)) break;
+
+      if (!result.headline && !this.looksLikeLocation(line)) {
+        result.headline = line;
+        continue;
+      }
+
+      if (this.looksLikeLocation(line)) {
+        result.location = line;
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  // A place the gazetteer knows ("Berlin", "Pune, Maharashtra, India") or a bare work mode -
+  // a headline that merely mentions a country ("Founder at Remote India Labs") is not one
+  looksLikeLocation(line) {
+    if (BARE_WORK_MODE.test(line)) return true;
+    if (line.length > 80 || !this.helpers.isValidLocation(line)) return false;
+    return Boolean(this.helpers.locationNormalizer.normalize(line)?.recognized);
+  }
+
+  extractJobLink($) {
+    for (const anchor of $(JOB_LINK).toArray()) {
+      const href = $(anchor).attr('href') || '';
+      const idMatch = href.match(/(?:jobs\/view|hiring\/jobs)\/(\d{6,})|currentJobId=(\d{6,})/);
+      const text = $(anchor).text().replace(/\s+/g, ' ').trim();
+
+      if (idMatch) {
+        return {
+          projectId: idMatch[1] || idMatch[2],
+          text: text && !LINK_CHROME.test(text) ? text : null
+        };
+      }
+    }
+
+    return { projectId: null, text: null };
+  }
+
+  // Job title = job card link text, else the first line under the template heading
+  extractJobTitle(lines, name, jobLink) {
+    const candidates = [];
+    if (jobLink.text) candidates.push({ text: jobLink.text, rule: 'job card link' });
+
+    const markerIndex = lines.findIndex(line => TEMPLATE_MARKER.test(line));
+    if (markerIndex >= 0) {
+      const next = lines.slice(markerIndex + 1, markerIndex + 3).find(line => line !== name && !line.startsWith(`${name} `));
+      if (next) candidates.push({ text: next, rule: 'heading line' });
+    }
+
+    for (const candidate of candidates) {
+      const title = this.helpers.cleanJobTitle(candidate.text.split('·')[0]);
+      if (this.helpers.isValidJobTitle(title)) {
+        return { value: title, rule: candidate.rule };
+      }
+    }
+
+    return { value: null, rule: null };
+  }
+
+  // field → rule name for the fields that were found; heading-line titles are a softer signal
+  buildProvenance(rules) {
+    const provenance = {};
+
+    for (const [field, rule] of Object.entries(rules)) {
+      if (!rule) continue;
+      const confidence = rule === 'heading line' || rule === 'profile block' ? 0.85 : undefined;
+      provenance[field] = createProvenance('template', rule, confidence);
+    }
+
+    return provenance;
+  }
+
+  // "N out of M preferred qualifications met" plus the answer lines beneath it
+  extractScreening(lines) {
+    const start = lines.findIndex(line => QUALIFICATIONS_LINE.test(line));
+    if (start < 0) return null;
+
+    const block = [lines[start]];
+    for (const line of lines.slice(start + 1, start + 30)) {
+      if (SECTION_END.test(line)) break;
+      block.push(line);
+    }
+
+    return block.join('\n');
+  }
+}
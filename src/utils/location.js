@@ -0,0 +1,194 @@
+// src/utils/location.js - Free-text location → { city, region, country_code, work_mode } via the bundled gazetteer
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const GAZETTEER_PATH = new URL('../data/gazetteer.json', import.meta.url);
+
+const WORK_MODES = [
+  { mode: 'remote', pattern: /\b(?:remote(?:ly)?|work from home|wfh|anywhere)\b/i },
+  { mode: 'hybrid', pattern: /\bhybrid\b/i },
+  { mode: 'onsite', pattern: /\b(?:on-?site|in[- ]office)\b/i }
+];
+
+// LinkedIn-style decorations around the place name: "Greater Bengaluru Area", "(Remote)"
+const NOISE = /\b(?:greater|metropolitan|metro|area|region|city of|remote(?:ly)?|hybrid|on-?site|in[- ]office|work from home|wfh|anywhere)\b|[()[\]]/gi;
+
+// 'remote' / 'hybrid' / 'onsite' for "Seattle, WA (Remote)"-style text, null when none is mentioned
+export function detectWorkMode(text) {
+  return WORK_MODES.find(({ pattern }) => pattern.test(text || ''))?.mode || null;
+}
+
+function key(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[.']/g, '')
+    .replace(/[^a-z0-9&]+/g, ' ')
+    .trim();
+}
+
+// Names and aliases go through the same noise stripping as the input ("Bay Area" → "bay")
+function placeKey(text) {
+  return key((text || '').replace(NOISE, ' '));
+}
+
+// name / alias → entries, keeping gazetteer order (most prominent first)
+function index(entries, names) {
+  const map = new Map();
+  for (const entry of entries) {
+    for (const name of names(entry)) {
+      const k = placeKey(name);
+      if (!k) continue;
+      if (!map.has(k)) map.set(k, []);
+      map.get(k).push(entry);
+    }
+  }
+  return map;
+}
+
+let cachedGazetteer = null;
+
+function loadGazetteer() {
+  if (cachedGazetteer) return cachedGazetteer;
+
+  const data = JSON.parse(fs.readFileSync(GAZETTEER_PATH, 'utf8'));
+  const countriesByCode = new Map(data.countries.map(country => [country.code, country]));
+
+  cachedGazetteer = {
+    countriesByCode,
+    countries: index(data.countries, country => [country.name, ...country.aliases]),
+    regions: index(data.regions, region => [region.name, ...region.aliases]),
+    regionCodes: index(data.regions, region => [region.code]),
+    cities: index(data.cities, city => [city.name, ...city.aliases])
+  };
+
+  logger.debug(`🗺️ Gazetteer loaded: ${data.countries.length} countries, ${data.regions.length} regions, ${data.cities.length} cities`);
+  return cachedGazetteer;
+}
+
+export class LocationNormalizer {
+  constructor() {
+    this.gazetteer = loadGazetteer();
+  }
+
+  // Always returns the raw text; `recognized` is false when nothing matched the gazetteer
+  normalize(raw) {
+    if (!raw || !raw.trim()) return null;
+
+    const workMode = detectWorkMode(raw);
+    const parts = raw
+      .split(/[,·•|/]|\s+-\s+/)
+      .map(part => placeKey(part))
+      .filter(Boolean);
+
+    const match = this.resolve(parts);
+    const country = match.country ? this.gazetteer.countriesByCode.get(match.country) : null;
+
+    const result = {
+      raw: raw.trim(),
+      city: match.city?.name || null,
+      region: match.region?.name || null,
+      region_code: match.region ? `${match.region.country}-${match.region.code}` : null,
+      country: country?.name || null,
+      country_code: match.country || null,
+      work_mode: workMode,
+      recognized: Boolean(match.country)
+    };
+
+    if (!result.recognized && !workMode) {
+      logger.debug(`🗺️ Location not in gazetteer, keeping raw: ${raw}`);
+    }
+
+    return result;
+  }
+
+  // Right to left: the last part is the broadest (country, then region), the first is the city
+  resolve(parts) {
+    const found = { city: null, region: null, country: null };
+    const remaining = [...parts];
+
+    const last = remaining[remaining.length - 1];
+    const country = last && this.gazetteer.countries.get(last)?.[0];
+    if (country) {
+      found.country = country.code;
+      remaining.pop();
+    }
+
+    while (remaining.length > 0 && !found.region) {
+      const part = remaining[remaining.length - 1];
+      // A single remaining part is more likely a city ("Delhi", "Singapore")
+      if (remaining.length === 1 && this.findCity(part, found)) break;
+
+      const region = this.findRegion(part, found.country);
+      if (!region) break;
+
+      found.region = region;
+      found.country = found.country || region.country;
+      remaining.pop();
+    }
+
+    for (const part of remaining) {
+      const city = this.findCity(part, found) || this.findTrailingCity(part, found);
+      if (city) {
+        found.city = city;
+        found.region = found.region || this.regionOf(city);
+        found.country = found.country || city.country;
+        break;
+      }
+    }
+
+    // "Singapore", "Hong Kong": city-states resolve as a city of the same name
+    if (!found.city && found.country && remaining.length === 0 && !found.region) {
+      found.city = this.findCity(last, found);
+    }
+
+    return found;
+  }
+
+  findRegion(part, countryCode) {
+    const byName = this.gazetteer.regions.get(part) || [];
+    // Bare codes ("KA", "TX") only in "City, CODE" position
+    const byCode = part.length <= 3 ? (this.gazetteer.regionCodes.get(part) || []) : [];
+    const candidates = [...byName, ...byCode];
+
+    return candidates.find(region => !countryCode || region.country === countryCode) || null;
+  }
+
+  findCity(part, { region, country }) {
+    const candidates = this.gazetteer.cities.get(part) || [];
+
+    return candidates.find(city =>
+      (!country || city.country === country) &&
+      (!region || !city.region || (city.region === region.code && city.country === region.country))
+    ) || null;
+  }
+
+  // "Tech Corp Bangalore" - leftover words in front of the city name
+  findTrailingCity(part, found) {
+    const words = part.split(' ');
+    for (let start = 1; start < words.length; start++) {
+      const city = this.findCity(words.slice(start).join(' '), found);
+      if (city) return city;
+    }
+    return null;
+  }
+
+  regionOf(city) {
+    if (!city.region) return null;
+    return (this.gazetteer.regionCodes.get(placeKey(city.region)) || [])
+      .find(region => region.country === city.country) || null;
+  }
+}
+
+// { key: count } over records, skipping empty keys - used for the "where do applicants come from" reports
+export function countBy(records, keyOf) {
+  const counts = {};
+  for (const record of records || []) {
+    const k = keyOf(record);
+    if (k) counts[k] = (counts[k] || 0) + 1;
+  }
+  return counts;
+}
@@ -0,0 +1,69 @@
+// src/utils/mime.js - Raw RFC 822 → parsed message shape used by GmailService.parseMessage
+import crypto from 'crypto';
+import { simpleParser } from 'mailparser';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+export class MimeMessageParser {
+  // Produces { id, subject, from, date, body, htmlBody, attachments, ... } with
+  // attachment content held in memory (no separate download step needed)
+  async parse(raw, { id = null, source = 'unknown' } = {}) {
+    try {
+      const parsed = await simpleParser(raw);
+
+      const body = (parsed.text || '').trim();
+      const htmlBody = (typeof parsed.html === 'string' ? parsed.html : '').trim();
+
+      const attachments = (parsed.attachments || [])
+        .filter(attachment => !attachment.related || attachment.filename)
+        .map((attachment, index) => ({
+          filename: attachment.filename || this.generateFilename(attachment.contentType, index),
+          mimeType: attachment.contentType,
+          attachmentId: attachment.checksum || String(index),
+          size: attachment.size || attachment.content.length,
+          disposition: attachment.contentDisposition || 'attachment',
+          partId: null,
+          content: attachment.content,
+          ...(attachment.filename ? {} : { generated: true })
+        }));
+
+      const parsedMessage = {
+        id: id || this.getStableId(parsed, raw),
+        subject: parsed.subject || '',
+        from: parsed.from?.text || '',
+        date: parsed.date || new Date(),
+        body,
+        htmlBody,
+        attachments,
+        threadId: parsed.inReplyTo || null,
+        messageIdHeader: parsed.messageId || null,
+        hasAttachments: attachments.length > 0,
+        bodyLength: body.length,
+        htmlBodyLength: htmlBody.length,
+        source
+      };
+
+      logger.debug(`📧 Parsed raw message: ${parsedMessage.subject}`);
+      logger.debug(`   Attachments: ${attachments.length}`);
+
+      return parsedMessage;
+    } catch (error) {
+      logger.error(`Error parsing raw message from ${source}:`, error.message);
+      return null;
+    }
+  }
+
+  // Message-ID when present, otherwise a content hash so re-runs stay idempotent
+  getStableId(parsed, raw) {
+    if (parsed.messageId) {
+      return parsed.messageId.replace(/^<|>$/g, '');
+    }
+    return `sha256:${crypto.createHash('sha256').update(raw).digest('hex')}`;
+  }
+
+  generateFilename(mimeType, index) {
+    const extension = (mimeType || '').split('/')[1]?.replace(/[^a-z0-9]/gi, '') || 'bin';
+    return `attachment_${index + 1}.${extension}`;
+  }
+}
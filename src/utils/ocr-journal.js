@@ -0,0 +1,83 @@
+// src/utils/ocr-journal.js - Record of Drive OCR temp docs that haven't been deleted yet
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const JOURNAL_STORES = ['file', 'supabase'];
+
+// A doc is added before the OCR export and removed once it is deleted, so whatever is still
+// listed at the next start was left behind by a crash or a failed delete.
+// 'file' keeps the list on this machine; 'supabase' keeps it in a table, for runners whose
+// disk is gone when the run ends.
+export class TempDocJournal {
+  // storage: StorageManager, only needed for the 'supabase' store
+  constructor({ store = CONFIG.OCR_JOURNAL_STORE, journalPath = CONFIG.OCR_JOURNAL_PATH, storage = null } = {}) {
+    if (!JOURNAL_STORES.includes(store)) {
+      throw new Error(`Unknown OCR_JOURNAL_STORE "${store}" (expected ${JOURNAL_STORES.join(', ')})`);
+    }
+    if (store === 'supabase' && !storage) {
+      throw new Error('OCR_JOURNAL_STORE "supabase" needs a StorageManager');
+    }
+
+    this.store = store;
+    this.path = journalPath;
+    this.storage = storage;
+  }
+
+  // [{ id, name, created_at }]
+  async list() {
+    if (this.store === 'supabase') return this.storage.listOcrTempDocs();
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️ Could not read OCR temp doc journal ${this.path}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  // Throws when the entry can't be stored - the caller deletes the doc instead of using it
+  async add(id, name) {
+    const entry = { id, name, created_at: new Date().toISOString() };
+    if (this.store === 'supabase') {
+      await this.storage.addOcrTempDoc(entry);
+      return;
+    }
+
+    this.write([...(await this.list()).filter(existing => existing.id !== id), entry]);
+  }
+
+  // A failed removal only costs one more (already-deleted) delete at the next start, so it warns
+  async remove(id) {
+    try {
+      if (this.store === 'supabase') {
+        await this.storage.removeOcrTempDoc(id);
+        return;
+      }
+
+      const entries = await this.list();
+      const remaining = entries.filter(entry => entry.id !== id);
+      if (remaining.length !== entries.length) this.write(remaining);
+    } catch (error) {
+      logger.warn(`⚠️ ${error.message}`);
+    }
+  }
+
+  // 🚀 MODIFIED: Throws - a doc that can't be journaled must not be OCR'd (see add)
+  write(entries) {
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      const tempPath = `${this.path}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2));
+      fs.renameSync(tempPath, this.path);
+    } catch (error) {
+      throw new Error(`Could not update OCR temp doc journal ${this.path}: ${error.message}`);
+    }
+  }
+}
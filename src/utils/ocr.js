@@ -1,47 +1,204 @@
+// src/utils/ocr.js - Offline OCR (Tesseract) for images and scanned PDF pages
+import fs from 'fs';
+import { createRequire } from 'module';
+import { CONFIG } from '../config.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger();
+const require = createRequire(import.meta.url);
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+
+// pdf.js ImageKind values for decoded image data
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// Logos and icons on a scanned page are not worth recognising
+const MIN_PAGE_IMAGE_SIZE = 200;
+
+// Language data: OCR_LANG_PATH, else the bundled @tesseract.js-data/<lang> package, else
+// tesseract.js downloads it once into OCR_CACHE_PATH
+function resolveLangPath(language) {
+  if (CONFIG.OCR_LANG_PATH) return CONFIG.OCR_LANG_PATH;
+  if (language.includes('+')) return undefined;
+
+  try {
+    return require(`@tesseract.js-data/${language}`).langPath;
+  } catch {
+    return undefined;
+  }
+}
 
 export class OCRService {
-  constructor() {
-    // This service is now a placeholder - all OCR is handled by Google Drive
-    logger.info('📄 OCR Service initialized - using Google Drive OCR only');
+  constructor({ language = CONFIG.OCR_LANGUAGE, timeout = CONFIG.OCR_TIMEOUT } = {}) {
+    this.language = language;
+    this.timeout = timeout;
+    this.worker = null;
+    this.workerPromise = null;
+    logger.info(`📄 OCR Service initialized - local Tesseract (${language}, ${timeout}ms timeout)`);
   }
 
-  async processPDF(pdfBuffer, filename) {
-    // This method is deprecated - OCR is now handled entirely by Google Drive
-    logger.warn('⚠️ OCRService.processPDF is deprecated - use DriveService.convertPDFToText instead');
-    
-    return {
-      text: `PDF file: ${filename} - processed via Google Drive OCR`,
-      originalText: '',
-      length: 0,
-      filename
-    };
+  canRecognize(mimeType) {
+    return mimeType === 'application/pdf' || IMAGE_MIME_TYPES.includes(mimeType);
+  }
+
+  // One worker per run - loading the language model is the slow part
+  async getWorker() {
+    if (this.worker) return this.worker;
+
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const { createWorker, OEM } = await import('tesseract.js');
+        const langPath = resolveLangPath(this.language);
+
+        if (!langPath) {
+          logger.warn(`⚠️ No local language data for "${this.language}" - tesseract.js will download it to ${CONFIG.OCR_CACHE_PATH}`);
+        }
+
+        fs.mkdirSync(CONFIG.OCR_CACHE_PATH, { recursive: true });
+
+        this.worker = await createWorker(this.language, OEM.LSTM_ONLY, {
+          langPath,
+          cachePath: CONFIG.OCR_CACHE_PATH,
+          gzip: true
+        });
+
+        logger.info(`🔤 Tesseract worker ready (${this.language})`);
+        return this.worker;
+      })().finally(() => {
+        this.workerPromise = null;
+      });
+    }
+
+    return this.workerPromise;
+  }
+
+  async terminate() {
+    const worker = this.worker;
+    this.worker = null;
+
+    if (worker) {
+      await worker.terminate().catch(error => logger.warn(`⚠️ Failed to stop Tesseract worker: ${error.message}`));
+    }
+  }
+
+  // { text, pages, confidence, method: 'local_ocr' } - throws on timeout or when nothing is readable.
+  // maxPages limits scanned PDFs to their first N pages.
+  async recognize(fileBuffer, filename, mimeType, { maxPages = null } = {}) {
+    if (!this.canRecognize(mimeType)) {
+      throw new Error(`Local OCR does not support ${mimeType}`);
+    }
+
+    const startTime = Date.now();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Local OCR timed out after ${this.timeout}ms`)), this.timeout);
+    });
+
+    try {
+      const result = await Promise.race([this.recognizeFile(fileBuffer, mimeType, maxPages), timeout]);
+      logger.info(`🔤 Local OCR read ${result.text.length} characters from ${filename} (${result.pages} page(s), confidence ${result.confidence}) in ${Date.now() - startTime}ms`);
+      return result;
+    } catch (error) {
+      // A timed-out worker is still busy - drop it so the next file gets a fresh one
+      if (error.message.includes('timed out')) {
+        await this.terminate();
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
-  formatOCRResult(extractedText, filename) {
-    const cleanText = extractedText
-      .replace(/\s+/g, ' ')
-      .replace(/\n+/g, '\n')
-      .trim();
-    
-    const result = `--- RESUME TEXT (GOOGLE DRIVE OCR) ---
-Original File: ${filename}
-Extraction Method: Google Drive OCR
-Extracted Characters: ${cleanText.length}
-Processing Date: ${new Date().toISOString()}
+  async recognizeFile(fileBuffer, mimeType, maxPages = null) {
+    // Tesseract reads JPEG, PNG and GIF as-is
+    const images = mimeType === 'application/pdf'
+      ? await this.extractPdfPageImages(fileBuffer, maxPages)
+      : [fileBuffer];
+
+    if (images.length === 0) {
+      throw new Error('No page images found to recognise');
+    }
 
---- EXTRACTED CONTENT ---
-${cleanText}
+    const worker = await this.getWorker();
+    const pageTexts = [];
+    const confidences = [];
+
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      pageTexts.push(data.text.trim());
+      confidences.push(data.confidence);
+    }
 
---- END OF RESUME ---`;
-    
     return {
-      text: result,
-      originalText: cleanText,
-      length: cleanText.length,
-      filename
+      text: pageTexts.filter(Boolean).join('\n\n'),
+      pages: images.length,
+      confidence: Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length),
+      method: 'local_ocr'
     };
   }
-}
\ No newline at end of file
+
+  // Scanned PDFs are one big image per page - pull those out instead of rasterising with a canvas
+  async extractPdfPageImages(fileBuffer, maxPages = null) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+    const pdf = await pdfjs.getDocument({
+      data: new Uint8Array(fileBuffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const images = [];
+      const pages = maxPages ? Math.min(pdf.numPages, maxPages) : pdf.numPages;
+
+      for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const operators = await page.getOperatorList();
+
+        for (let i = 0; i < operators.fnArray.length; i++) {
+          if (operators.fnArray[i] !== pdfjs.OPS.paintImageXObject) continue;
+
+          const objectId = operators.argsArray[i][0];
+          const objects = objectId.startsWith('g_') ? page.commonObjs : page.objs;
+          const image = await new Promise(resolve => objects.get(objectId, resolve));
+
+          if (image?.data && image.width >= MIN_PAGE_IMAGE_SIZE && image.height >= MIN_PAGE_IMAGE_SIZE) {
+            images.push(this.toGreyscalePgm(image));
+          }
+        }
+
+        page.cleanup();
+      }
+
+      return images;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  // Binary PGM (P5) - the simplest format Tesseract's image loader accepts
+  toGreyscalePgm({ width, height, kind, data }) {
+    const grey = Buffer.alloc(width * height);
+
+    if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+      const rowBytes = (width + 7) >> 3;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+          grey[y * width + x] = bit ? 255 : 0;
+        }
+      }
+    } else {
+      const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+      for (let i = 0; i < width * height; i++) {
+        const offset = i * channels;
+        grey[i] = Math.round(data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114);
+      }
+    }
+
+    return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`, 'ascii'), grey]);
+  }
+}
@@ -1,7 +1,30 @@
+import { CompensationParser, expectedCompensation } from './compensation.js';
+import { LinkedInHtmlExtractor } from './linkedin-html.js';
+import { LocationNormalizer, detectWorkMode } from './location.js';
 import { createLogger } from './logger.js';
+import { createDefaultSourceParsers } from './parsers/index.js';
+import { createProvenance, patternProvenance } from './provenance.js';
+import { ScreeningParser } from './screening.js';
+import { loadSkillsConfig, skillTermPattern } from './skills.js';
 
 const logger = createLogger();
 
+// Provenance labels for the `sources` arrays the extractors below walk through
+const SUBJECT_FIRST_SOURCES = ['subject', 'body', 'htmlBody'];
+const CLEANED_FIRST_SOURCES = ['body', 'htmlBody', 'body (raw)', 'htmlBody (raw)'];
+const HTML_FIRST_SOURCES = ['htmlBody', 'body', 'subject'];
+
+// "(Remote)" / "· Hybrid" right after a matched place, on the same line
+const WORK_MODE_SUFFIX = /^[^\S\n]*[(\[·•|-]?[^\S\n]*(?:remote|hybrid|on-?site|in[- ]office|work from home)\b[)\]]?/i;
+const WORK_MODE_LABELS = { remote: 'Remote', hybrid: 'Hybrid', onsite: 'On-site' };
+
+// Employer / platform names that turn up in headlines next to the location. They are not skills,
+// so they stay here rather than in the skills taxonomy (config/skills.json).
+const PLATFORM_NAMES = 'Windows|MacOS|Oracle|Microsoft|Google|Apple|Meta|Facebook|Amazon|Netflix|Uber|Airbnb|Spotify|Tesla|Twitter|LinkedIn|Instagram|WhatsApp|TikTok|Snapchat|Pinterest|Reddit|YouTube|Stack Overflow|Medium|Dev\\.to';
+const PLATFORM_TERMS = new RegExp(`\\b(?:${PLATFORM_NAMES})\\b`, 'gi');
+const PLATFORM_TERM = new RegExp(`\\b(?:${PLATFORM_NAMES})\\b`, 'i');
+const PLATFORM_NAME = new RegExp(`^(?:${PLATFORM_NAMES})$`, 'i');
+
 export class EmailParser {
   constructor() {
     // Enhanced LinkedIn patterns
@@ -48,6 +71,93 @@ export class EmailParser {
       /(?:upgrade|subscribe|premium).*(?:now|today|offer)/i,
       /(?:billing|payment).*(?:failed|due|overdue)/i
     ];
+    
+    // 🚀 NEW: Source-specific parsers, tried in order - first one to claim a message wins
+    this.sourceParsers = createDefaultSourceParsers(this);
+    
+    // 🚀 NEW: Markup-based extractor for LinkedIn's applicant template
+    this.linkedInHtmlExtractor = new LinkedInHtmlExtractor(this);
+    
+    // 🚀 NEW: Splits screening text into { question, answer, met, value } records
+    this.screeningParser = new ScreeningParser();
+    
+    // 🚀 NEW: Amount / currency / period records for current and expected pay
+    this.compensationParser = new CompensationParser();
+    
+    // 🚀 NEW: Offline gazetteer lookup - city / region / country code / work mode
+    this.locationNormalizer = new LocationNormalizer();
+    
+    // 🚀 NEW: Skill words come from the taxonomy, so a skill added there is never taken for a location
+    this.skills = loadSkillsConfig();
+    this.skillTerm = skillTermPattern(this.skills);
+    this.skillTerms = skillTermPattern(this.skills, 'gi');
+  }
+
+  // 🚀 NEW: Register an extra source parser ahead of the generic fallback
+  registerSourceParser(sourceParser, { first = false } = {}) {
+    if (first) {
+      this.sourceParsers.unshift(sourceParser);
+    } else {
+      this.sourceParsers.splice(this.sourceParsers.length - 1, 0, sourceParser);
+    }
+  }
+
+  detectSourceParser(message) {
+    for (const sourceParser of this.sourceParsers) {
+      try {
+        if (sourceParser.matches(message)) {
+          logger.debug(`✅ Message claimed by ${sourceParser.source} parser: ${message.subject}`);
+          return sourceParser;
+        }
+      } catch (error) {
+        logger.warn(`⚠️ ${sourceParser.source} parser failed to inspect message: ${error.message}`);
+      }
+    }
+    
+    logger.debug(`❌ No source parser claimed message: ${message.subject}`);
+    return null;
+  }
+
+  // 🚀 NEW: Dispatch to whichever source parser claims the message
+  // Returns null when no parser recognises it as a job application
+  parseApplication(message, sourceParser = this.detectSourceParser(message)) {
+    if (!sourceParser) return null;
+    
+    logger.info(`📋 Parsing ${sourceParser.source} application: ${message.subject}`);
+    
+    const result = sourceParser.parse(message);
+    const screeningAnswers = this.screeningParser.parse(result.screening_questions, result.project_id);
+    const compensation = this.compensationParser.extract({
+      answers: screeningAnswers,
+      texts: [result.screening_questions, message.body]
+    });
+    const fieldProvenance = { ...(result.field_provenance || {}) };
+    
+    // 🚀 MODIFIED: The flat column is the expected pay record's own text - the source parsers'
+    // first-number pick is often the current CTC
+    const expected = expectedCompensation(compensation);
+    if (expected) {
+      fieldProvenance.expected_compensation = this.compensationProvenance(expected);
+    } else {
+      delete fieldProvenance.expected_compensation;
+    }
+    
+    return {
+      ...result,
+      expected_compensation: expected?.original_text || null,
+      screening_answers: screeningAnswers,
+      compensation,
+      location_details: this.locationNormalizer.normalize(result.location),
+      field_provenance: fieldProvenance,
+      source: sourceParser.source
+    };
+  }
+
+  // An explicitly expected figure is as good as a label; an unlabelled one is only a guess
+  compensationProvenance(record) {
+    return record.kind === 'expected'
+      ? createProvenance('label', 'expected compensation record')
+      : createProvenance('body', 'unlabelled compensation record', 0.5);
   }
 
   isLinkedInApplication(message) {
@@ -123,18 +233,43 @@ export class EmailParser {
       screening_questions: null
     };
     
-    result.name = this.extractName(subject, emailBody, htmlBody);
-    result.title = this.extractJobTitle(subject, emailBody, htmlBody);
-    result.location = this.extractLocation(emailBody, htmlBody);
-    result.expected_compensation = this.extractCompensation(emailBody, htmlBody);
-    result.project_id = this.extractProjectId(emailBody, htmlBody, subject);
-    result.screening_questions = this.extractScreeningQuestions(emailBody, htmlBody);
+    // 🚀 NEW: Which input + pattern produced each field, and how far to trust it
+    const provenance = {};
+    
+    // 🚀 NEW: Read fields from the template's markup blocks when we recognise it
+    const structured = this.linkedInHtmlExtractor.extract(htmlBody);
+    if (structured) {
+      Object.assign(provenance, structured.provenance);
+      
+      result.name = structured.name;
+      result.title = structured.title || this.extractJobTitle(subject, '', '', provenance);
+      result.location = structured.location;
+      result.expected_compensation = structured.expected_compensation;
+      result.project_id = structured.project_id || this.extractProjectId(emailBody, htmlBody, subject, provenance);
+      result.screening_questions = structured.screening_questions;
+      
+      logger.info(`📋 Parsed data (LinkedIn template): ${JSON.stringify(result, null, 2)}`);
+      return { ...result, field_provenance: provenance };
+    }
+    
+    result.name = this.extractName(subject, emailBody, htmlBody, provenance);
+    result.title = this.extractJobTitle(subject, emailBody, htmlBody, provenance);
+    result.location = this.extractLocation(emailBody, htmlBody, provenance);
+    result.expected_compensation = this.extractCompensation(emailBody, htmlBody, provenance);
+    result.project_id = this.extractProjectId(emailBody, htmlBody, subject, provenance);
+    result.screening_questions = this.extractScreeningQuestions(emailBody, htmlBody, provenance);
     
     logger.info(`📋 Parsed data: ${JSON.stringify(result, null, 2)}`);
-    return result;
+    return { ...result, field_provenance: provenance };
+  }
+
+  // 🚀 NEW: Extractors take an optional provenance map and note the winning source/pattern in it
+  recordProvenance(provenance, field, sourceLabel, patternIndex) {
+    if (!provenance) return;
+    provenance[field] = patternProvenance(sourceLabel, `pattern ${patternIndex + 1}`, patternIndex);
   }
 
-  extractName(subject, emailBody, htmlBody) {
+  extractName(subject, emailBody, htmlBody, provenance = null) {
     const namePatterns = [
       // 🚀 PRIORITY 1: From subject line - "New application: [Title] from [Name]"
       /new application:\s*[^:]+?from\s+([A-Z](?:\.\s*)?[A-Za-z]+(?:\s+[A-Z](?:\.\s*)?[A-Za-z]+)*)/i,
@@ -163,14 +298,15 @@ export class EmailParser {
       /\b([A-Z](?:\.|[a-z]+)(?:\s+[A-Z](?:\.|[a-z]+))*(?:\s+[A-Z][a-z]+)+)\b/
     ];
 
-    for (const pattern of namePatterns) {
+    for (const [patternIndex, pattern] of namePatterns.entries()) {
       const sources = [subject, emailBody, htmlBody];
-      for (const source of sources) {
+      for (const [sourceIndex, source] of sources.entries()) {
         const match = source.match(pattern);
         if (match && match[1]) {
           const name = match[1].trim();
           if (this.isValidName(name)) {
             logger.debug(`📝 Name extracted: ${name}`);
+            this.recordProvenance(provenance, 'name', SUBJECT_FIRST_SOURCES[sourceIndex], patternIndex);
             return name;
           }
         }
@@ -180,7 +316,7 @@ export class EmailParser {
     return null;
   }
 
-  extractJobTitle(subject, emailBody, htmlBody) {
+  extractJobTitle(subject, emailBody, htmlBody, provenance = null) {
     const titlePatterns = [
       // 🚀 PRIORITY 1: From subject line - "New application: [Title] from [Name]"
       /new application:\s*([^:]+?)\s+from\s+/i,
@@ -207,9 +343,9 @@ export class EmailParser {
       /<(?:h1|h2|h3|strong|b)[^>]*>([^<]+?)(?:\s+(?:at|position|role|job))<\/(?:h1|h2|h3|strong|b)>/i,
     ];
 
-    for (const pattern of titlePatterns) {
+    for (const [patternIndex, pattern] of titlePatterns.entries()) {
       const sources = [subject, emailBody, htmlBody];
-      for (const source of sources) {
+      for (const [sourceIndex, source] of sources.entries()) {
         const match = source.match(pattern);
         if (match && match[1]) {
           let title = match[1].trim();
@@ -219,6 +355,7 @@ export class EmailParser {
           
           if (this.isValidJobTitle(title)) {
             logger.debug(`💼 Title extracted: ${title}`);
+            this.recordProvenance(provenance, 'title', SUBJECT_FIRST_SOURCES[sourceIndex], patternIndex);
             return title;
           }
         }
@@ -228,9 +365,10 @@ export class EmailParser {
     return null;
   }
 
-  extractLocation(emailBody, htmlBody) {
-    const cleanBody = this.cleanTextForParsing(emailBody);
-    const cleanHtml = this.cleanTextForParsing(htmlBody);
+  extractLocation(emailBody, htmlBody, provenance = null) {
+    // Line breaks are kept so the headline above ("... at Example Corp") can't run into the location line
+    const cleanBody = this.cleanTextForParsing(emailBody, { keepLines: true });
+    const cleanHtml = this.cleanTextForParsing(htmlBody, { keepLines: true });
     
     const locationPatterns = [
       // 🚀 PRIORITY 1: EXACT LinkedIn format - location line after candidate info
@@ -259,12 +397,17 @@ export class EmailParser {
 
     const sources = [cleanBody, cleanHtml, emailBody, htmlBody];
     
-    for (const source of sources) {
+    for (const [sourceIndex, source] of sources.entries()) {
       for (let i = 0; i < locationPatterns.length; i++) {
         const pattern = locationPatterns[i];
         const match = source.match(pattern);
         if (match && match[1]) {
-          let location = match[1].trim();
+          // A location is a single line - anything before the last break is the headline's employer
+          let location = match[1].split('\n').pop().trim();
+          
+          // 🚀 NEW: Keep a trailing "(Remote)" the pattern stopped short of, for the work mode
+          const suffix = source.slice(match.index + match[0].length).match(WORK_MODE_SUFFIX);
+          if (suffix && !detectWorkMode(location)) location = `${location} ${suffix[0].trim()}`;
           
           // Clean the extracted location
           location = this.cleanLocation(location);
@@ -272,6 +415,7 @@ export class EmailParser {
           // Validate the location
           if (this.isValidLocation(location)) {
             logger.debug(`📍 Location extracted from pattern ${i + 1}: ${location}`);
+            this.recordProvenance(provenance, 'location', CLEANED_FIRST_SOURCES[sourceIndex], i);
             return location;
           }
         }
@@ -305,6 +449,9 @@ export class EmailParser {
   cleanLocation(location) {
     if (!location) return '';
     
+    // 🚀 NEW: The noise stripping below drops "Remote" / "Hybrid", so note the work mode first
+    const workMode = detectWorkMode(location);
+    
     let cleaned = location
       // Remove leading/trailing separators and whitespace
       .replace(/^[|\s\-•·,]+/, '')
@@ -313,8 +460,9 @@ export class EmailParser {
       // 🚀 CRITICAL: Remove job-related terms that contaminate location
       .replace(/\b(?:strategic|marketing|transformation|product|excellence|go-to-market|development|engineering|programming|software|technical|business|management|analysis|design|consulting|sales|operations|finance|hr|human resources|legal|content|digital|social media|advertising|branding|communications|public relations|customer success|account management|project management|program management|quality assurance|data science|machine learning|artificial intelligence|cloud computing|cybersecurity|information technology|network administration|database administration|web development|mobile development|full stack|backend|frontend|devops|ui ux|user experience|user interface|graphic design|interior design|fashion design|industrial design|architecture|construction|real estate|logistics|supply chain|procurement|vendor management|contract negotiation|business development|partnership|alliance|corporate strategy|mergers acquisitions|investment banking|private equity|venture capital|asset management|portfolio management|risk management|compliance|audit|taxation|accounting|bookkeeping|payroll|benefits administration|recruitment|talent acquisition|learning development|organizational development|change management|leadership|executive|director|manager|supervisor|coordinator|specialist|analyst|associate|assistant|intern|trainee|consultant|freelancer|contractor|vendor|supplier|client|customer|partner|stakeholder|shareholder|investor|founder|entrepreneur|startup|enterprise|corporation|company|organization|institution|agency|government|nonprofit|ngo|foundation|university|college|school|hospital|clinic|pharmacy|laboratory|research|development|innovation|technology|science|mathematics|statistics|economics|finance|accounting|marketing|sales|operations|human resources|information technology|engineering|design|architecture|construction|manufacturing|production|quality|safety|environment|sustainability|energy|utilities|transportation|logistics|telecommunications|media|entertainment|gaming|sports|fitness|health|wellness|beauty|fashion|food|beverage|hospitality|tourism|travel|retail|wholesale|distribution|import|export|trade|commerce|banking|insurance|real estate|legal|law|justice|security|defense|military|police|fire|emergency|medical|healthcare|pharmaceutical|biotechnology|chemicals|materials|textiles|automotive|aerospace|marine|agriculture|forestry|mining|oil|gas|renewable|solar|wind|nuclear|water|waste|recycling|construction|infrastructure|urban planning|architecture|interior design|landscape|graphic design|web design|app development|game development|animation|video production|photography|journalism|writing|editing|translation|interpretation|education|training|coaching|mentoring|counseling|therapy|psychology|social work|community service|volunteering|charity|fundraising|event planning|project coordination|administration|secretarial|clerical|data entry|customer service|call center|help desk|technical support|maintenance|repair|installation|delivery|shipping|warehouse|inventory|procurement|purchasing|sourcing|negotiation|contract|legal|compliance|audit|risk|security|safety|quality|testing|inspection|certification|standards|regulations|policies|procedures|documentation|reporting|analysis|research|investigation|surveillance|monitoring|evaluation|assessment|measurement|metrics|kpi|roi|budget|forecast|planning|strategy|vision|mission|values|culture|ethics|governance|leadership|management|supervision|coordination|collaboration|teamwork|communication|presentation|negotiation|persuasion|influence|relationship|networking|partnership|alliance|merger|acquisition|divestiture|restructuring|transformation|change|innovation|creativity|problem solving|decision making|critical thinking|analytical|logical|mathematical|statistical|technical|scientific|research|development|design|engineering|architecture|construction|manufacturing|production|assembly|testing|quality|maintenance|repair|troubleshooting|debugging|optimization|improvement|enhancement|upgrade|migration|implementation|deployment|rollout|launch|release|delivery|support|service|customer|client|user|end user|stakeholder|vendor|supplier|partner|contractor|consultant|freelancer|temporary|permanent|full time|part time|contract|remote|hybrid|onsite|office|home|travel|international|domestic|local|regional|national|global|worldwide|enterprise|corporate|startup|small business|medium business|large business|public|private|government|nonprofit|education|healthcare|technology|finance|retail|manufacturing|service|consulting|agency|firm|company|organization|institution|association|foundation|trust|cooperative|partnership|sole proprietorship|llc|corporation|inc|ltd|co|llp|pllc|pa|pc)\b/gi, '')
       
-      // Remove programming languages and technical terms
-      .replace(/\b(?:Python|Java|JavaScript|React|Angular|Node|PHP|Ruby|C\+\+|C#|Go|Kotlin|Swift|HTML|CSS|SQL|MongoDB|MySQL|PostgreSQL|Redis|Docker|Kubernetes|AWS|Azure|GCP|Git|Jenkins|Linux|Windows|MacOS|Android|iOS|Django|Flask|Spring|Laravel|Express|Vue|Bootstrap|jQuery|TypeScript|Scala|Rust|Perl|R|MATLAB|Tableau|PowerBI|Salesforce|SAP|Oracle|Microsoft|Google|Apple|Meta|Facebook|Amazon|Netflix|Uber|Airbnb|Spotify|Tesla|Twitter|LinkedIn|Instagram|WhatsApp|TikTok|Snapchat|Pinterest|Reddit|YouTube|GitHub|Stack Overflow|Medium|Dev\.to)\b/gi, '')
+      // Remove skill words (taxonomy) and employer / platform names
+      .replace(this.skillTerms, '')
+      .replace(PLATFORM_TERMS, '')
       
       // Remove email/phone/website patterns
       .replace(/[\w\.-]+@[\w\.-]+\.\w+/g, '')
@@ -342,14 +490,14 @@ export class EmailParser {
       .trim();
 
     // 🚀 CRITICAL: Additional validation - location should not contain job/skill terms
-    const jobTermPattern = /\b(?:strategic|marketing|transformation|product|excellence|go-to-market|development|engineering|management|analysis|design|consulting|sales|operations|finance|hr|legal|content|technical|business|software|programming|coding|developer|engineer|manager|analyst|consultant|designer|specialist|coordinator|executive|director|lead|senior|junior|associate|intern|trainee|python|java|javascript|react|angular|node|php|ruby|html|css|sql|mongodb|mysql|postgresql|redis|docker|kubernetes|aws|azure|gcp|git|jenkins|linux|windows|macos|android|ios|django|flask|spring|laravel|express|vue|bootstrap|jquery|typescript|scala|rust|perl|matlab|tableau|powerbi|salesforce|sap|oracle|microsoft|google|apple|meta|facebook|amazon|netflix|uber|airbnb|spotify|tesla|twitter|linkedin|instagram|whatsapp|tiktok|snapchat|pinterest|reddit|youtube|github)\b/i;
+    const jobTermPattern = /\b(?:strategic|marketing|transformation|product|excellence|go-to-market|development|engineering|management|analysis|design|consulting|sales|operations|finance|hr|legal|content|technical|business|software|programming|coding|developer|engineer|manager|analyst|consultant|designer|specialist|coordinator|executive|director|lead|senior|junior|associate|intern|trainee)\b/i;
     
-    if (jobTermPattern.test(cleaned)) {
+    if (jobTermPattern.test(cleaned) || this.skillTerm.test(cleaned) || PLATFORM_TERM.test(cleaned)) {
       logger.debug(`🚫 Rejected location due to job terms: ${cleaned}`);
       return '';
     }
 
-    return cleaned;
+    return cleaned && workMode ? `${cleaned} (${WORK_MODE_LABELS[workMode]})` : cleaned;
   }
 
   // 🚀 ENHANCED: Better location validation to prevent job title contamination
@@ -358,7 +506,7 @@ export class EmailParser {
     
     // 🚀 CRITICAL: Exclude job/skill-related terms
     const invalidPatterns = [
-      /^(strategic|marketing|transformation|product|excellence|go-to-market|development|engineering|management|analysis|design|consulting|sales|operations|finance|hr|human|resources|legal|content|technical|business|software|programming|coding|developer|engineer|manager|analyst|consultant|designer|specialist|coordinator|executive|director|lead|senior|junior|associate|intern|trainee|experience|current|past|skills|qualifications|screening|questions|answers|yes|no|true|false|python|java|javascript|react|angular|node|php|ruby|html|css|sql|mongodb|mysql|postgresql|redis|docker|kubernetes|aws|azure|gcp|git|jenkins|linux|windows|macos|android|ios|django|flask|spring|laravel|express|vue|bootstrap|jquery|typescript|scala|rust|perl|matlab|tableau|powerbi|salesforce|sap|oracle|microsoft|google|apple|meta|facebook|amazon|netflix|uber|airbnb|spotify|tesla|twitter|linkedin|instagram|whatsapp|tiktok|snapchat|pinterest|reddit|youtube|github|stack|overflow|medium|dev|to)$/i,
+      /^(strategic|marketing|transformation|product|excellence|go-to-market|development|engineering|management|analysis|design|consulting|sales|operations|finance|hr|human|resources|legal|content|technical|business|software|programming|coding|developer|engineer|manager|analyst|consultant|designer|specialist|coordinator|executive|director|lead|senior|junior|associate|intern|trainee|experience|current|past|skills|qualifications|screening|questions|answers|yes|no|true|false|stack|overflow|medium|dev|to)$/i,
       /^\d+$/,
       /^[0-9\s,.-]+$/,
       /^(new|application|from|job|at|with|for|in|the|and|or|but|your|has|this|that|these|those|view|all|click|here|link|email|message|html|body|subject|candidate|applicant|resume|cv|portfolio|profile|about|contact|phone|mobile|telephone|website)$/i,
@@ -372,8 +520,11 @@ export class EmailParser {
       /product.*marketing/i
     ];
     
-    // Check for invalid patterns
-    const isInvalid = invalidPatterns.some(pattern => pattern.test(location.trim()));
+    // Check for invalid patterns - a bare skill name or platform name is never a place
+    // (`ambiguous` taxonomy names such as "DL" or "Spring" can be, so they are left to the gazetteer)
+    const isInvalid = invalidPatterns.some(pattern => pattern.test(location.trim())) ||
+      Boolean(this.skills.canonicalizeUnambiguous(location)) ||
+      PLATFORM_NAME.test(location.trim());
    if (isInvalid) {
      logger.debug(`🚫 Invalid location pattern: ${location}`);
      return false;
@@ -382,6 +533,9 @@ export class EmailParser {
    // Must contain alphabetic characters
    if (!/[a-zA-Z]/.test(location)) return false;
    
+   // 🚀 NEW: Anything the gazetteer recognises is a real place
+   if (this.locationNormalizer.normalize(location)?.recognized) return true;
+   
    // 🚀 Enhanced: Global location validation with stricter rules
    const locationKeywords = [
      // Countries (most reliable)
@@ -414,7 +568,7 @@ export class EmailParser {
   return isValidLocation;
 }
 
-extractCompensation(emailBody, htmlBody) {
+extractCompensation(emailBody, htmlBody, provenance = null) {
   const cleanBody = this.cleanTextForParsing(emailBody);
   const cleanHtml = this.cleanTextForParsing(htmlBody);
   
@@ -431,13 +585,14 @@ extractCompensation(emailBody, htmlBody) {
 
   const sources = [cleanBody, cleanHtml, emailBody, htmlBody];
   
-  for (const source of sources) {
-    for (const pattern of compensationPatterns) {
+  for (const [sourceIndex, source] of sources.entries()) {
+    for (const [patternIndex, pattern] of compensationPatterns.entries()) {
       const match = source.match(pattern);
       if (match && match[1]) {
         const compensation = this.cleanCompensation(match[1]);
         if (compensation && parseFloat(compensation) > 0) {
           logger.debug(`💰 Compensation extracted: ${compensation}`);
+          this.recordProvenance(provenance, 'expected_compensation', CLEANED_FIRST_SOURCES[sourceIndex], patternIndex);
           return compensation;
         }
       }
@@ -447,9 +602,10 @@ extractCompensation(emailBody, htmlBody) {
   return null;
 }
 
-extractScreeningQuestions(emailBody, htmlBody) {
-  const cleanBody = this.cleanTextForParsing(emailBody);
-  const cleanHtml = this.cleanTextForParsing(htmlBody);
+extractScreeningQuestions(emailBody, htmlBody, provenance = null) {
+  // Line breaks are kept - ScreeningParser needs them to tell one question's answer from the next question
+  const cleanBody = this.cleanTextForParsing(emailBody, { keepLines: true });
+  const cleanHtml = this.cleanTextForParsing(htmlBody, { keepLines: true });
   
   const screeningPatterns = [
     /((?:\d+\s+out\s+of\s+\d+\s+(?:preferred\s+)?qualifications?\s+met).*?)(?=(?:current experience|past experience|skills|education|view all|show less|view applicant|regards|best|thank)|$)/is,
@@ -457,20 +613,22 @@ extractScreeningQuestions(emailBody, htmlBody) {
     /(preferred\s+qualifications?.*?met.*?)(?=(?:skills|experience|education|additional|contact|view\s+all|show\s+less|regards|best|thank)|$)/is,
     /(qualifications?\s+met[:\s\n]+.*?)(?=(?:skills|experience|education|view\s+all|show\s+less|regards|best|thank)|$)/is,
     /(How many years of work experience do you have with.*?)(?=(?:current experience|past experience|skills|education|view all|show less|view applicant)|$)/is,
-    /((?:what\s+is|how\s+many|do\s+you|are\s+you|can\s+you).*?(?:CTC|experience|years?|willing|available|python|programming|java|javascript|react|angular|node|php|ruby|html|css|sql|database|framework|library|technology|skill|qualification|certification|degree|education|training|course|bootcamp|university|college|school).*?)(?=(?:skills|experience|education|contact|view\s+profile|regards|best|thank)|$)/gis,
+    // Questions about pay, experience, education or any taxonomy skill
+    new RegExp(`((?:what\\s+is|how\\s+many|do\\s+you|are\\s+you|can\\s+you).*?(?:CTC|experience|years?|willing|available|programming|database|framework|library|technology|skill|qualification|certification|degree|education|training|course|bootcamp|university|college|school|${this.skillTerm.source}).*?)(?=(?:skills|experience|education|contact|view\\s+profile|regards|best|thank)|$)`, 'gis'),
     /(.*?(?:CTC|compensation|salary|experience|years?).*?)(?=(?:skills|education|contact|view\s+profile|regards|best|thank)|$)/is,
     /(screening.*?)(?=(?:skills|education|contact|view\s+profile|additional|regards|best|thank)|$)/is
   ];
 
   const sources = [cleanBody, cleanHtml, emailBody, htmlBody];
   
-  for (const source of sources) {
-    for (const pattern of screeningPatterns) {
+  for (const [sourceIndex, source] of sources.entries()) {
+    for (const [patternIndex, pattern] of screeningPatterns.entries()) {
       const match = source.match(pattern);
       if (match && match[1]) {
         const questions = this.cleanScreeningQuestions(match[1]);
         if (questions && questions.length > 15) {
           logger.debug(`❓ Screening questions extracted: ${questions.substring(0, 100)}...`);
+          this.recordProvenance(provenance, 'screening_questions', CLEANED_FIRST_SOURCES[sourceIndex], patternIndex);
           return questions;
         }
       }
@@ -480,7 +638,7 @@ extractScreeningQuestions(emailBody, htmlBody) {
   return null;
 }
 
-extractProjectId(emailBody, htmlBody, subject) {
+extractProjectId(emailBody, htmlBody, subject, provenance = null) {
   const sources = [htmlBody, emailBody, subject];
   
   const projectIdPatterns = [
@@ -499,13 +657,14 @@ extractProjectId(emailBody, htmlBody, subject) {
     /linkedin\.com\/[^"'\s]*\/(\d{10,})/i
   ];
   
-  for (const source of sources) {
-    for (const pattern of projectIdPatterns) {
+  for (const [sourceIndex, source] of sources.entries()) {
+    for (const [patternIndex, pattern] of projectIdPatterns.entries()) {
       const match = source.match(pattern);
       if (match && match[1]) {
         const projectId = match[1];
         if (projectId.length >= 6 && projectId.length <= 15) {
           logger.debug(`🆔 Project ID extracted: ${projectId}`);
+          this.recordProvenance(provenance, 'project_id', HTML_FIRST_SOURCES[sourceIndex], patternIndex);
           return projectId;
         }
       }
@@ -582,18 +741,27 @@ isValidApplicantEmail(email) {
 }
 
 // Helper methods
-cleanTextForParsing(text) {
+cleanTextForParsing(text, { keepLines = false } = {}) {
   if (!text) return '';
   
-  return text
+  const decoded = text
     .replace(/&nbsp;/g, ' ')
     .replace(/&amp;/g, '&')
     .replace(/&lt;/g, '<')
     .replace(/&gt;/g, '>')
     .replace(/&quot;/g, '"')
-    .replace(/<[^>]*>/g, ' ')
+    .replace(/<[^>]*>/g, ' ');
+  
+  if (keepLines) {
+    return decoded
+      .replace(/\r\n?/g, '\n')
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ *\n[\s]*/g, '\n')
+      .trim();
+  }
+  
+  return decoded
     .replace(/\s+/g, ' ')
-    .replace(/\r\n/g, '\n')
     .trim();
 }
 
@@ -640,11 +808,14 @@ cleanCompensation(compensation) {
   return num && num > 0 && num < 1000 ? cleaned : null;
 }
 
+// One question / answer per line - collapsing the breaks glues each answer onto the next question
 cleanScreeningQuestions(questions) {
   return questions
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .replace(/[•\-\|]/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[•|]/g, '')
+    .replace(/^[^\S\n]*-+/gm, '')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n\s*/g, '\n')
     .replace(/^\s*screening\s*:?\s*/i, '')
     .trim();
 }
@@ -0,0 +1,209 @@
+// src/utils/parsers/base.js - Shared plumbing for source-specific application parsers
+import { createProvenance, patternProvenance } from '../provenance.js';
+
+// Provenance names for the usual `[message.body, message.htmlBody]` source list
+export const SOURCE_LABELS = ['body', 'htmlBody'];
+
+export class JobBoardParser {
+  constructor(helpers) {
+    // EmailParser instance - reused for its cleaning / validation helpers
+    this.helpers = helpers;
+    this.source = 'unknown';
+    this.senderPatterns = [];
+    
+    // Provenance of the most recent extractLabeled / firstMatch / collectLabeled hit
+    this.lastHit = null;
+  }
+
+  // Does this parser claim the message? Default: sender matches the board's domains
+  matches(message) {
+    return this.isFromSource(message);
+  }
+
+  parse(message) {
+    throw new Error(`${this.constructor.name}.parse() is not implemented`);
+  }
+
+  isFromSource(message) {
+    return this.getSenders(message).some(sender =>
+      this.senderPatterns.some(pattern => pattern.test(sender))
+    );
+  }
+
+  // The envelope sender plus any "From:" lines of forwarded originals in the body
+  getSenders(message) {
+    const senders = [message.from || ''];
+    const forwardedFrom = /^[\s>]*From:\s*(.+)$/gim;
+
+    let match;
+    while ((match = forwardedFrom.exec(message.body || '')) !== null) {
+      senders.push(match[1]);
+    }
+
+    return senders;
+  }
+
+  // Line-preserving plain text: prefer the text/plain part, fall back to flattened HTML
+  getText(message) {
+    const body = (message.body || '').trim();
+    return body.length > 0 ? body : this.htmlToText(message.htmlBody || '');
+  }
+
+  htmlToText(html) {
+    if (!html) return '';
+
+    return html
+      .replace(/<(?:script|style)[^>]*>[\s\S]*?<\/(?:script|style)>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(?:p|div|tr|li|h[1-6]|table)>/gi, '\n')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // "Label: value" / "Label - value" on its own line
+  extractLabeled(text, labels) {
+    for (const label of labels) {
+      const pattern = new RegExp(`^[\\s>*•-]*(?:${label})\\s*[:\\-–]\\s*(.+?)\\s*$`, 'im');
+      const match = text.match(pattern);
+      if (match && match[1]) {
+        this.lastHit = createProvenance('label', `label "${this.labelName(label)}"`);
+        return match[1].trim();
+      }
+    }
+    return null;
+  }
+
+  // First capture group of the first pattern that matches any source.
+  // `sourceLabels` name the entries of `sources` for provenance ("subject", "body", ...)
+  firstMatch(sources, patterns, sourceLabels = ['subject']) {
+    for (const [patternIndex, pattern] of patterns.entries()) {
+      for (const [sourceIndex, source] of sources.entries()) {
+        if (!source) continue;
+        const match = source.match(pattern);
+        if (match && match[1]) {
+          this.lastHit = patternProvenance(sourceLabels[sourceIndex] || 'body', `pattern ${patternIndex + 1}`, patternIndex);
+          return match[1].trim();
+        }
+      }
+    }
+    return null;
+  }
+
+  // "Label: value" lines for the known screening fields, in the order given
+  collectLabeled(text, labels) {
+    const lines = [];
+    for (const label of labels) {
+      const value = this.extractLabeled(text, [label]);
+      if (value) {
+        lines.push(`${this.labelName(label)}: ${value}`);
+      }
+    }
+    
+    this.lastHit = lines.length > 0 ? createProvenance('label', `${lines.length} labelled line(s)`) : null;
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
+  // Readable form of a label pattern: "Reference (?:Code|ID)" → "Reference Code"
+  labelName(label) {
+    return label
+      .split('|')[0]
+      .replace(/\(\?:([^)|]*)[^)]*\)\??/g, '$1')
+      .replace(/\\/g, '')
+      .trim();
+  }
+
+  // Run one field's extraction and pair the value with the provenance of the hit that produced it;
+  // values produced without a labelled/pattern hit fall back to `fallbackRule`
+  traced(extract, fallbackRule = 'custom pattern', fallbackSource = 'body') {
+    this.lastHit = null;
+    const value = extract();
+    if (!value) return null;
+
+    return {
+      value,
+      provenance: this.lastHit || createProvenance(fallbackSource, fallbackRule)
+    };
+  }
+
+  normalizeName(name) {
+    if (!name) return null;
+
+    let cleaned = name
+      .replace(/<[^>]*>/g, '')
+      .replace(/["']/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Job boards often shout names: "PRIYA SHARMA" → "Priya Sharma"
+    if (cleaned === cleaned.toUpperCase()) {
+      cleaned = cleaned.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+    }
+
+    return this.helpers.isValidName(cleaned) ? cleaned : null;
+  }
+
+  normalizeTitle(title) {
+    if (!title) return null;
+    const cleaned = this.helpers.cleanJobTitle(title);
+    return cleaned.length >= 2 ? cleaned : null;
+  }
+
+  normalizeLocation(location) {
+    if (!location) return null;
+    const cleaned = this.helpers.cleanLocation(location);
+    return this.helpers.isValidLocation(cleaned) ? cleaned : null;
+  }
+
+  normalizeCompensation(compensation) {
+    if (!compensation) return null;
+    const match = compensation.match(/[0-9]+(?:[.,][0-9]+)*/);
+    return match ? this.helpers.cleanCompensation(match[0]) : null;
+  }
+
+  // Accepts plain values or `traced()` results; provenance is kept only for fields that survive normalisation
+  buildResult(fields) {
+    const hit = key => {
+      const field = fields[key];
+      if (!field) return null;
+      return typeof field === 'object' && 'provenance' in field
+        ? field
+        : { value: field, provenance: createProvenance('body', 'unlabelled', 0.5) };
+    };
+
+    const hits = {
+      name: hit('name'),
+      title: hit('title'),
+      location: hit('location'),
+      expected_compensation: hit('compensation'),
+      project_id: hit('project_id'),
+      screening_questions: hit('screening_questions')
+    };
+
+    const result = {
+      name: this.normalizeName(hits.name?.value),
+      title: this.normalizeTitle(hits.title?.value),
+      location: this.normalizeLocation(hits.location?.value),
+      expected_compensation: this.normalizeCompensation(hits.expected_compensation?.value),
+      project_id: hits.project_id?.value || null,
+      screening_questions: hits.screening_questions?.value || null
+    };
+
+    const provenance = {};
+    for (const [field, value] of Object.entries(result)) {
+      if (value && hits[field]) {
+        provenance[field] = hits[field].provenance;
+      }
+    }
+
+    return { ...result, field_provenance: provenance };
+  }
+}
@@ -0,0 +1,45 @@
+// src/utils/parsers/indeed.js - Indeed employer application notifications
+import { JobBoardParser, SOURCE_LABELS } from './base.js';
+
+export class IndeedParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'indeed';
+    this.senderPatterns = [/indeedemail\.com/i, /@indeed\.com/i];
+  }
+
+  parse(message) {
+    const subject = message.subject || '';
+    const text = this.getText(message);
+    const sources = [message.body || '', message.htmlBody || ''];
+
+    // "Priya Sharma applied to Data Analyst in Pune, Maharashtra"
+    const applied = text.match(/^(.+?)\s+applied\s+(?:to|for)\s+(?:your\s+)?(.+?)(?:\s+job)?(?:\s+in\s+(.+?))?\s*$/im);
+
+    return this.buildResult({
+      name: this.traced(() => this.firstMatch([subject], [
+        /^(?:new\s+)?(?:application|applicant|candidate)\s*(?:for\s+)?[:\-–]?\s*.+?\s+[-–:]\s+(.+?)\s*$/i,
+        /^(.+?)\s+applied\s+(?:to|for)\b/i
+      ]) || applied?.[1], '"applied to" line'),
+      title: this.traced(() => this.firstMatch([subject], [
+        /^(?:new\s+)?(?:application|applicant|candidate)\s*(?:for\s+)?[:\-–]?\s*(.+?)\s+[-–:]\s+/i,
+        /applied\s+(?:to|for)\s+(?:your\s+)?(.+?)(?:\s+job)?(?:\s+in\s+.+)?$/i
+      ]) || applied?.[2], '"applied to" line'),
+      location: this.traced(() => this.extractLabeled(text, ['Candidate location', 'Location']) || applied?.[3], '"applied to" line'),
+      compensation: this.traced(() => this.extractLabeled(text, ['Desired pay', 'Expected salary', 'Desired salary'])),
+      project_id: this.traced(() => this.firstMatch(sources, [
+        /[?&]jk=([a-f0-9]{16})/i,
+        /[?&]job(?:Key|Id)=([A-Za-z0-9]{6,})/i
+      ], SOURCE_LABELS)),
+      screening_questions: this.traced(() => this.extractSection(text), 'screener section')
+    });
+  }
+
+  extractSection(text) {
+    const match = text.match(/(?:screener questions|screening questions|qualifications)\s*:?\s*\n([\s\S]+?)(?:\n\s*(?:view (?:application|resume|candidate)|respond|resume|message)\b|$)/i);
+    if (!match) return null;
+
+    const questions = this.helpers.cleanScreeningQuestions(match[1]);
+    return questions.length > 15 ? questions : null;
+  }
+}
@@ -0,0 +1,22 @@
+// src/utils/parsers/index.js - Default source parser registry (order = priority)
+import { GenericApplicationParser, LinkedInParser } from './linkedin.js';
+import { IndeedParser } from './indeed.js';
+import { NaukriParser } from './naukri.js';
+import { ReferralParser } from './referral.js';
+import { WellfoundParser } from './wellfound.js';
+import { WorkableParser } from './workable.js';
+
+export { JobBoardParser, SOURCE_LABELS } from './base.js';
+
+// Specific boards first, forwarded referrals next, keyword heuristics last
+export function createDefaultSourceParsers(helpers) {
+  return [
+    new LinkedInParser(helpers),
+    new NaukriParser(helpers),
+    new IndeedParser(helpers),
+    new WellfoundParser(helpers),
+    new WorkableParser(helpers),
+    new ReferralParser(helpers),
+    new GenericApplicationParser(helpers)
+  ];
+}
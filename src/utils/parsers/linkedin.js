@@ -0,0 +1,42 @@
+// src/utils/parsers/linkedin.js - LinkedIn "new applicant" notifications
+import { JobBoardParser } from './base.js';
+
+export class LinkedInParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'linkedin';
+    this.senderPatterns = [
+      /jobs-listings@linkedin\.com/i,
+      /jobs-noreply@linkedin\.com/i,
+      /noreply@linkedin\.com/i
+    ];
+  }
+
+  matches(message) {
+    if (this.isFromSource(message)) return true;
+
+    // Forwarded or re-sent LinkedIn notifications keep the template wording
+    return /your job has a new applicant/i.test(`${message.subject} ${message.body}`);
+  }
+
+  parse(message) {
+    return this.helpers.parseLinkedInApplication(message);
+  }
+}
+
+// Catch-all for job-ish emails no specific parser claimed: the original keyword
+// heuristics + LinkedIn field extraction
+export class GenericApplicationParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'generic';
+  }
+
+  matches(message) {
+    return this.helpers.isLinkedInApplication(message);
+  }
+
+  parse(message) {
+    return this.helpers.parseLinkedInApplication(message);
+  }
+}
@@ -0,0 +1,51 @@
+// src/utils/parsers/naukri.js - Naukri.com application / response emails
+import { JobBoardParser, SOURCE_LABELS } from './base.js';
+
+export class NaukriParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'naukri';
+    this.senderPatterns = [/naukri\.com/i];
+  }
+
+  matches(message) {
+    return this.isFromSource(message) || /\bnaukri\b/i.test(message.subject || '');
+  }
+
+  parse(message) {
+    const subject = message.subject || '';
+    const text = this.getText(message);
+    const sources = [message.body || '', message.htmlBody || ''];
+
+    return this.buildResult({
+      name: this.traced(() => this.extractLabeled(text, ['Candidate Name', 'Name', 'Applicant Name', 'Jobseeker']) ||
+        this.firstMatch([subject], [
+          /^(.+?)\s+has\s+applied\s+(?:for|to)\b/i,
+          /application\s+(?:received\s+)?(?:for|:)\s*.+?\s+(?:from|by)\s+(.+?)\s*$/i,
+          /(?:new\s+)?(?:application|response)\s*[:\-–]\s*.+?\s+[-–|]\s+(.+?)\s*$/i
+        ])),
+      title: this.traced(() => this.extractLabeled(text, ['Job Title', 'Applied For', 'Position', 'Job Role']) ||
+        this.firstMatch([subject], [
+          /applied\s+(?:for|to)\s+(?:the\s+)?(.+?)(?:\s+(?:job|position|role))?(?:\s+[-–|]\s+.*)?$/i,
+          /application\s+(?:received\s+)?(?:for|:)\s*(.+?)\s+(?:from|by|[-–|])\s+/i
+        ])),
+      location: this.traced(() => this.extractLabeled(text, ['Current Location', 'Location', 'Preferred Location'])),
+      compensation: this.traced(() => this.extractLabeled(text, ['Expected CTC', 'Expected Salary', 'Current CTC', 'CTC', 'Annual Salary'])),
+      project_id: this.traced(() => this.extractLabeled(text, ['Job Code', 'Job ID', 'Reference (?:Code|ID)'])?.match(/[A-Za-z0-9-]+/)?.[0] ||
+        this.firstMatch(sources, [
+          /[?&]jobId=(\d{6,})/i,
+          /naukri\.com\/job-listings-[^"'\s]*?-(\d{9,15})(?:[?"'\s]|$)/i
+        ], SOURCE_LABELS)),
+      screening_questions: this.traced(() => this.collectLabeled(text, [
+        'Total Experience|Experience',
+        'Current Designation',
+        'Current Company',
+        'Current CTC',
+        'Expected CTC',
+        'Notice Period',
+        'Highest Qualification|Education',
+        'Key Skills'
+      ]))
+    });
+  }
+}
@@ -0,0 +1,55 @@
+// src/utils/parsers/referral.js - Internal referrals forwarded by colleagues
+import { JobBoardParser } from './base.js';
+
+export class ReferralParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'referral';
+  }
+
+  matches(message) {
+    const subject = message.subject || '';
+    const body = message.body || '';
+
+    const isForwarded = /^\s*(?:fwd?|fw)\s*:/i.test(subject) ||
+      /-{3,}\s*forwarded message\s*-{3,}/i.test(body);
+    const mentionsReferral = /\b(?:referr?al|refer(?:ring|red)?|recommend(?:ing|ation)?|candidate|resume|cv)\b/i
+      .test(`${subject}\n${body}`);
+
+    return isForwarded && mentionsReferral;
+  }
+
+  parse(message) {
+    const subject = (message.subject || '').replace(/^\s*(?:(?:fwd?|fw|re)\s*:\s*)+/i, '');
+    const text = this.getText(message);
+    const namePattern = '([A-Z][a-zA-Z.\'-]+(?:\\s+[A-Z][a-zA-Z.\'-]+){1,3})';
+
+    const result = this.buildResult({
+      name: this.traced(() => this.extractLabeled(text, ['Candidate Name', 'Candidate', 'Name']) ||
+        this.firstMatch([subject, text], [
+          new RegExp(`(?:referral|referring|refer|recommending|introducing)\\s*(?:for\\s+.+?)?\\s*[:\\-–]?\\s*${namePattern}`),
+          new RegExp(`(?:resume|cv|profile)\\s+(?:of|for|from)\\s+${namePattern}`, 'i'),
+          new RegExp(`^${namePattern}\\s*[-–|]\\s*(?:resume|cv|referral)`, 'i')
+        ], ['subject', 'body'])),
+      title: this.traced(() => this.extractLabeled(text, ['Role', 'Position', 'Applying for']) ||
+        this.firstMatch([subject, text], [
+          /\bfor\s+(?:the|our|a|an)\s+(.+?)\s+(?:role|position|opening|job)\b/i,
+          /\b(?:role|position)\s+of\s+(.+?)(?:[.,\n]|$)/i
+        ], ['subject', 'body'])),
+      location: this.traced(() => this.extractLabeled(text, ['Location', 'Based in', 'Current Location'])),
+      compensation: this.traced(() => this.extractLabeled(text, ['Expected CTC', 'Expected Salary', 'Current CTC'])),
+      project_id: this.traced(() => this.extractLabeled(text, ['Job ID', 'Job Code', 'Requisition(?: ID)?'])?.match(/[A-Za-z0-9-]+/)?.[0]),
+      screening_questions: this.traced(() => this.collectLabeled(text, [
+        'Experience',
+        'Current Company',
+        'Notice Period',
+        'Expected CTC'
+      ]))
+    });
+
+    return {
+      ...result,
+      referred_by: message.from || null
+    };
+  }
+}
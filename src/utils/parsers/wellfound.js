@@ -0,0 +1,40 @@
+// src/utils/parsers/wellfound.js - Wellfound (formerly AngelList Talent) applicant emails
+import { JobBoardParser, SOURCE_LABELS } from './base.js';
+
+export class WellfoundParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'wellfound';
+    this.senderPatterns = [/wellfound\.com/i, /angel\.co/i, /angellist/i];
+  }
+
+  parse(message) {
+    const subject = message.subject || '';
+    const text = this.getText(message);
+    const sources = [message.body || '', message.htmlBody || ''];
+
+    return this.buildResult({
+      name: this.traced(() => this.firstMatch([subject], [
+        /^(.+?)\s+(?:applied|is interested)\s+(?:to|in|for)\b/i,
+        /^new\s+(?:applicant|candidate)\s+for\s+.+?:\s*(.+?)\s*$/i
+      ])),
+      title: this.traced(() => this.firstMatch([subject], [
+        /(?:applied|is interested)\s+(?:to|in|for)\s+(?:your\s+)?(.+?)(?:\s+at\s+.+)?$/i,
+        /^new\s+(?:applicant|candidate)\s+for\s+(.+?):/i
+      ])),
+      location: this.traced(() => this.extractLabeled(text, ['Location', 'Based in'])),
+      compensation: this.traced(() => this.extractLabeled(text, ['Salary expectation', 'Desired salary', 'Expected salary'])),
+      project_id: this.traced(() => this.firstMatch(sources, [
+        /wellfound\.com\/(?:jobs|l)\/(\d{4,})/i,
+        /angel\.co\/[^"'\s]*\/jobs\/(\d{4,})/i
+      ], SOURCE_LABELS)),
+      screening_questions: this.traced(() => this.collectLabeled(text, [
+        'Years of experience|Experience',
+        'Salary expectation',
+        'Availability|Notice period',
+        'Work authorization|Visa',
+        'Remote'
+      ]))
+    });
+  }
+}
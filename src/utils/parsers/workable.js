@@ -0,0 +1,46 @@
+// src/utils/parsers/workable.js - Workable ATS candidate notifications
+import { JobBoardParser, SOURCE_LABELS } from './base.js';
+
+export class WorkableParser extends JobBoardParser {
+  constructor(helpers) {
+    super(helpers);
+    this.source = 'workable';
+    this.senderPatterns = [/workablemail\.com/i, /workable\.com/i];
+  }
+
+  parse(message) {
+    const subject = message.subject || '';
+    const text = this.getText(message);
+    const sources = [message.body || '', message.htmlBody || ''];
+
+    return this.buildResult({
+      name: this.traced(() => this.extractLabeled(text, ['Name', 'Candidate']) ||
+        this.firstMatch([subject], [
+          /^new\s+candidate\s*:\s*(.+?)\s+(?:for|applied)\b/i,
+          /^(.+?)\s+applied\s+(?:for|to)\b/i,
+          /^new\s+(?:applicant|candidate)\s+for\s+.+?:\s*(.+?)\s*$/i
+        ])),
+      title: this.traced(() => this.extractLabeled(text, ['Job', 'Position']) ||
+        this.firstMatch([subject], [
+          /^new\s+candidate\s*:\s*.+?\s+for\s+(?:the\s+)?(.+?)(?:\s+(?:job|position))?\s*$/i,
+          /applied\s+(?:for|to)\s+(?:the\s+)?(.+?)(?:\s+(?:job|position))?\s*$/i,
+          /^new\s+(?:applicant|candidate)\s+for\s+(.+?):/i
+        ])),
+      location: this.traced(() => this.extractLabeled(text, ['Address', 'Location'])),
+      compensation: this.traced(() => this.extractLabeled(text, ['Expected salary', 'Salary expectations?', 'Salary'])),
+      project_id: this.traced(() => this.firstMatch(sources, [
+        /workable\.com\/[^"'\s]*\/j\/([A-Z0-9]{6,12})/i,
+        /workable\.com\/[^"'\s]*\/jobs\/(\d{5,})/i
+      ], SOURCE_LABELS)),
+      screening_questions: this.traced(() => this.extractQuestions(text), 'questions section')
+    });
+  }
+
+  extractQuestions(text) {
+    const match = text.match(/\bquestions?\s*:?\s*\n([\s\S]+?)(?:\n\s*(?:view candidate|view in workable|resume|cover letter)\b|$)/i);
+    if (!match) return null;
+
+    const questions = this.helpers.cleanScreeningQuestions(match[1]);
+    return questions.length > 15 ? questions : null;
+  }
+}
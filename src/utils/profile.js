@@ -0,0 +1,134 @@
+// src/utils/profile.js - Candidate profile: regex / screening-answer values merged with the LLM's
+import { CONFIG } from '../config.js';
+import { createProvenance } from './provenance.js';
+import { validateGitHubUrl, validateUrl } from './schema.js';
+
+export const PROFILE_FIELDS = [
+  'current_employer',
+  'current_title',
+  'total_experience_years',
+  'notice_period',
+  'notice_period_days',
+  'highest_degree',
+  'key_skills',
+  'github_url',
+  'portfolio_url',
+  'profile_summary'
+];
+
+const MAX_KEY_SKILLS = 15;
+
+// Highest first - the first pattern a degree matches decides its rank
+const DEGREE_RANKS = [
+  /ph\.?\s?d|doctorate/i,
+  /\bm\.?\s?(?:tech|e|sc|com|a|s)\b|\bmca\b|\bmba\b|pgdm|pgdba|master|post\s*graduate/i,
+  /\bb\.?\s?(?:tech|e|sc|com|a|s)\b|\bbca\b|\bbba\b|bachelor/i,
+  /diploma|associate/i,
+  /higher\s+secondary|senior\s+secondary|\bhsc\b|\bxii\b|\b12(?:th)?\b/i,
+  /high\s+school|secondary|\bssc\b|\bcbse\b|\bicse\b|\bx\b|\b10(?:th)?\b/i
+];
+
+// An explicit link in the resume is as good as it gets; only the URL shape can be wrong
+const EXPLICIT_URL_CONFIDENCE = 0.9;
+
+const GITHUB_URL = /\b(?:https?:\/\/)?(?:www\.)?github\.com\/[A-Za-z0-9][A-Za-z0-9-]{0,38}(?![\w-])/i;
+const PORTFOLIO_URL = /\b(?:https?:\/\/)?(?:www\.)?(?:behance\.net|dribbble\.com)\/[\w.-]+/i;
+
+function degreeRank(degree) {
+  const index = DEGREE_RANKS.findIndex(pattern => pattern.test(degree));
+  return index === -1 ? DEGREE_RANKS.length : index;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function uniqueSkills(skills, canonicalize) {
+  const seen = new Set();
+  return skills
+    .map(skill => canonicalize(skill) || skill.trim())
+    .filter(skill => !seen.has(skill.toLowerCase()) && seen.add(skill.toLowerCase()))
+    .slice(0, MAX_KEY_SKILLS);
+}
+
+// { field: { value, provenance } } from what the regex parsers already found
+export function regexProfile({ resumeProfile = null, screeningAnswers = [], resumeText = null, canonicalize = () => null } = {}) {
+  const found = {};
+  const set = (field, value, provenance) => {
+    if (!isEmpty(value) && !found[field]) found[field] = { value, provenance };
+  };
+
+  // Screening answers are the candidate's own "Label: value" lines
+  const answer = key => screeningAnswers.find(entry => entry.key === key && entry.value !== null && entry.value !== undefined);
+  const experienceAnswer = answer('total_experience_years');
+  const noticeAnswer = answer('notice_period_days');
+
+  if (experienceAnswer) {
+    set('total_experience_years', experienceAnswer.value, createProvenance('label', 'screening answer'));
+  }
+  if (noticeAnswer) {
+    set('notice_period_days', noticeAnswer.value, createProvenance('label', 'screening answer'));
+    set('notice_period', noticeAnswer.answer?.trim(), createProvenance('label', 'screening answer'));
+  }
+
+  if (resumeProfile) {
+    const currentRole = resumeProfile.experience.find(role => role.current);
+    if (currentRole) {
+      set('current_title', currentRole.title, createProvenance('resume text', 'current role in experience section'));
+      set('current_employer', currentRole.employer, createProvenance('resume text', 'current role in experience section'));
+    }
+
+    set('total_experience_years', resumeProfile.total_experience_years, createProvenance('resume text', 'sum of experience section dates'));
+
+    const [highest] = [...resumeProfile.education].sort((a, b) => degreeRank(a.degree) - degreeRank(b.degree));
+    if (highest) {
+      set('highest_degree', [highest.degree, highest.field].filter(Boolean).join(' '), createProvenance('resume text', 'education section'));
+    }
+
+    set('key_skills', uniqueSkills(resumeProfile.skills, canonicalize), createProvenance('resume text', 'skills section'));
+  }
+
+  if (resumeText) {
+    const github = resumeText.match(GITHUB_URL);
+    if (github) {
+      set('github_url', validateGitHubUrl(github[0]).value, createProvenance('resume text', 'github.com URL', EXPLICIT_URL_CONFIDENCE));
+    }
+
+    const portfolio = resumeText.match(PORTFOLIO_URL);
+    if (portfolio) {
+      set('portfolio_url', validateUrl(portfolio[0]).value, createProvenance('resume text', 'portfolio site URL', EXPLICIT_URL_CONFIDENCE));
+    }
+  }
+
+  return found;
+}
+
+// { profile: { field: value }, provenance: { field: record } } - a regex value at or above
+// minConfidence wins; below it the LLM's value is used when there is one
+export function mergeProfile(regexFound, llmProfile, { minConfidence = CONFIG.PROFILE_REGEX_MIN_CONFIDENCE, canonicalize = () => null } = {}) {
+  const llmValues = llmProfile ? {
+    ...llmProfile,
+    key_skills: uniqueSkills(llmProfile.key_skills || [], canonicalize),
+    profile_summary: llmProfile.summary
+  } : {};
+
+  const profile = {};
+  const provenance = {};
+
+  for (const field of PROFILE_FIELDS) {
+    const regex = regexFound[field];
+    const llmValue = llmValues[field];
+
+    if (regex && (regex.provenance.confidence >= minConfidence || isEmpty(llmValue))) {
+      profile[field] = regex.value;
+      provenance[field] = regex.provenance;
+    } else if (!isEmpty(llmValue)) {
+      profile[field] = llmValue;
+      provenance[field] = createProvenance('GPT', 'profile extraction');
+    } else {
+      profile[field] = field === 'key_skills' ? [] : null;
+    }
+  }
+
+  return { profile, provenance };
+}
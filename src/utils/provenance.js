@@ -0,0 +1,76 @@
+// src/utils/provenance.js - Per-field confidence scores and "where did this value come from" records
+import { CONFIG } from '../config.js';
+
+// Starting confidence for a value found in each kind of input, before the per-pattern decay
+export const SOURCE_CONFIDENCE = {
+  template: 0.95,       // recognised LinkedIn markup block
+  label: 0.85,          // explicit "Label: value" line
+  subject: 0.85,
+  body: 0.8,
+  htmlBody: 0.7,
+  'body (raw)': 0.7,
+  'htmlBody (raw)': 0.6,
+  'resume text': 0.6,
+  GPT: 0.7
+};
+
+// Later patterns in a priority list are broader, so each step down costs a little trust
+const PATTERN_DECAY = 0.05;
+const MIN_CONFIDENCE = 0.3;
+
+export const PROVENANCE_FIELDS = [
+  'name',
+  'title',
+  'location',
+  'expected_compensation',
+  'project_id',
+  'screening_questions',
+  'email',
+  'mobile_number',
+  'linkedin_url'
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// { source: 'subject', rule: 'name pattern 1', confidence: 0.85 }
+export function createProvenance(source, rule, confidence = SOURCE_CONFIDENCE[source] ?? 0.5) {
+  return {
+    source,
+    rule,
+    confidence: round(Math.min(1, Math.max(MIN_CONFIDENCE, confidence)))
+  };
+}
+
+// Provenance for the Nth (0-based) pattern of a priority-ordered list
+export function patternProvenance(source, rule, patternIndex) {
+  const base = SOURCE_CONFIDENCE[source] ?? 0.5;
+  return createProvenance(source, rule, base - patternIndex * PATTERN_DECAY);
+}
+
+// Lowest confidence over the fields that actually have a value, plus the ones under the threshold
+export function summarizeProvenance(provenance, threshold = CONFIG.LOW_CONFIDENCE_THRESHOLD) {
+  const entries = Object.entries(provenance || {}).filter(([, record]) => record);
+  if (entries.length === 0) {
+    return { confidence: null, lowConfidenceFields: [] };
+  }
+
+  return {
+    confidence: round(Math.min(...entries.map(([, record]) => record.confidence))),
+    lowConfidenceFields: entries
+      .filter(([, record]) => record.confidence < threshold)
+      .map(([field]) => field)
+  };
+}
+
+// "name: subject / name pattern 1 (0.85); title: ..." for a single spreadsheet cell
+export function formatProvenance(provenance) {
+  return PROVENANCE_FIELDS
+    .filter(field => provenance?.[field])
+    .map(field => {
+      const { source, rule, confidence } = provenance[field];
+      return `${field}: ${source} / ${rule} (${confidence.toFixed(2)})`;
+    })
+    .join('; ');
+}
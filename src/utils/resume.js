@@ -0,0 +1,412 @@
+// src/utils/resume.js - Resume text → sections + experience / education / certification / skills records
+import { createLogger } from './logger.js';
+import { LocationNormalizer } from './location.js';
+
+const logger = createLogger();
+
+// Heading line (already lowercased, stripped of symbols / trailing colon) → section
+const SECTION_HEADINGS = [
+  ['summary', /^(?:(?:professional|career|executive)\s+)?(?:summary|profile|objective)$|^about\s+me$/],
+  ['experience', /^(?:(?:work|professional|employment|relevant|industry|career)\s+)?(?:experience|history)$|^employment(?:\s+history|\s+details)?$|^work\s+history$|^experience\s+(?:summary|details)$|^internships?(?:\s+experience)?$/],
+  ['education', /^(?:educational|education|academic)(?:\s+(?:background|qualifications?|details|profile|credentials))?$|^(?:academic\s+)?qualifications?$/],
+  ['certifications', /^(?:licen[cs]es?\s*(?:&|and)\s*)?certifications?(?:\s*(?:&|and)\s*(?:licen[cs]es?|trainings?|courses?))?$|^(?:trainings?|courses?)(?:\s*(?:&|and)\s*certifications?)?$/],
+  ['skills', /^(?:(?:technical|key|core|professional|it|relevant|primary)\s+)?(?:skills?|competenc(?:ies|e)|expertise|technologies|tech\s+stack|skill\s*set|tools)(?:\s*(?:&|and)\s*(?:tools|technologies|abilities|expertise))?$/],
+  ['projects', /^(?:(?:academic|personal|key|major)\s+)?projects$/],
+  ['other', /^(?:achievements|accomplishments|awards|honou?rs|publications|languages(?:\s+known)?|interests|hobbies|references|declaration|personal\s+(?:details|information|profile)|volunteer(?:ing)?(?:\s+experience)?|activities|extra[- ]?curricular(?:\s+activities)?|contact(?:\s+(?:details|information))?)$/]
+];
+
+const BULLET = /^[•●▪■◦‣∙\-*–>]\s*/;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE = `(?:${MONTH}\\s*[,']?\\s*\\d{4}|\\d{1,2}\\s*[/.]\\s*\\d{4}|\\d{4}\\s*[/.-]\\s*\\d{1,2}(?!\\d)|\\d{4})`;
+const OPEN_END = '(?:present|current(?:ly)?|now|till\\s+(?:date|now)|to\\s+date|ongoing)';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|till|until)\\s*(${DATE}|${OPEN_END})`, 'i');
+const YEAR = /\b(19[5-9]\d|20\d{2})\b/g;
+
+const ROLE_WORDS = /\b(?:engineer|developer|programmer|architect|manager|analyst|scientist|consultant|designer|intern|trainee|lead|head|director|officer|specialist|associate|executive|administrator|coordinator|tester|sde|sdet|devops|accountant|recruiter|strategist|advisor|researcher|assistant|technician|representative|owner|founder|co-founder|cto|ceo|vp|president|principal|fellow|teacher|lecturer|professor|editor|writer)\b/i;
+const COMPANY_HINTS = /\b(?:ltd|limited|inc|llc|llp|corp(?:oration)?|co|company|pvt|private|technologies|technology|solutions|systems|services|labs|software|consulting|consultancy|group|bank|industries|enterprises|global|international|infotech|infosystems|networks|ventures|partners|studios?|university|institute|hospital|foundation)\b\.?/i;
+
+// Degree names - bare "X"/"XII" only with a "Class" prefix so a stray letter isn't a degree
+const DEGREE = /\b(?:b\.?\s?tech|m\.?\s?tech|b\.?\s?e\b\.?|m\.?\s?e\b\.?|b\.?\s?sc|m\.?\s?sc|b\.?\s?com|m\.?\s?com|b\.?\s?a\b\.?|m\.?\s?a\b\.?|b\.?\s?s\b\.?|m\.?\s?s\b\.?|bca|mca|bba|mba|pgdm|pgdba|ph\.?\s?d|doctorate|bachelor(?:'?s)?(?:\s+of\s+[a-z]+)?|master(?:'?s)?(?:\s+of\s+[a-z]+)?|(?:advanced\s+|post\s*graduate\s+)?diploma|associate(?:'?s)?\s+degree|high\s+school|higher\s+secondary|senior\s+secondary|secondary\s+school|hsc|ssc|cbse|icse|class\s+(?:xii|x|12|10)(?:th)?\b|10th|12th)/i;
+const INSTITUTION = /\b(?:university|college|institute|school|academy|iit|nit|iiit|iim|bits|polytechnic|vidyalaya|universit[ay]t)\b/i;
+
+const SEPARATORS = /\s*[|–—•·]\s*|\s+-\s+|,\s+|\s{3,}|\t+/;
+
+function normalizeHeading(line) {
+  return line
+    .replace(/[^a-zA-Z&\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function headingFor(text) {
+  if (!text || text.length > 50) return null;
+  const normalized = normalizeHeading(text);
+  const found = SECTION_HEADINGS.find(([, pattern]) => pattern.test(normalized));
+  return found ? found[0] : null;
+}
+
+// Distinct resume sections with a heading line in the text - used to tell resumes from other documents
+export function findSectionHeadings(text) {
+  const found = new Set();
+  for (const line of (text || '').split('\n')) {
+    const heading = headingFor(line.replace(BULLET, '').trim());
+    if (heading && heading !== 'other') found.add(heading);
+  }
+  return [...found];
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET, '').trim();
+}
+
+// "Jan 2020" / "01/2020" / "2020-01" / "2020" → { year, month }. Bare years count as mid-year.
+function parseDate(text) {
+  const value = text.trim().toLowerCase();
+
+  const named = value.match(/^([a-z]{3})[a-z]*\.?\s*[,']?\s*(\d{4})$/);
+  if (named && MONTHS[named[1]]) return { year: parseInt(named[2], 10), month: MONTHS[named[1]] };
+
+  const monthFirst = value.match(/^(\d{1,2})\s*[/.]\s*(\d{4})$/);
+  if (monthFirst) return { year: parseInt(monthFirst[2], 10), month: Math.min(12, Math.max(1, parseInt(monthFirst[1], 10))) };
+
+  const yearFirst = value.match(/^(\d{4})\s*[/.-]\s*(\d{1,2})$/);
+  if (yearFirst) return { year: parseInt(yearFirst[1], 10), month: Math.min(12, Math.max(1, parseInt(yearFirst[2], 10))) };
+
+  const year = value.match(/^(\d{4})$/);
+  if (year) return { year: parseInt(year[1], 10), month: 6 };
+
+  return null;
+}
+
+function monthIndex({ year, month }) {
+  return year * 12 + (month - 1);
+}
+
+function formatDate({ year, month }) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function uniqueBy(values, keyOf) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = keyOf(value);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export class ResumeParser {
+  constructor({ now = new Date() } = {}) {
+    this.now = { year: now.getFullYear(), month: now.getMonth() + 1 };
+    this.locationNormalizer = new LocationNormalizer();
+  }
+
+  parse(text) {
+    if (!text || !text.trim()) return null;
+
+    const sections = this.splitSections(text);
+    const experience = this.parseExperience(sections.experience || []);
+    const profile = {
+      sections: Object.keys(sections).filter(name => name !== 'header'),
+      experience,
+      education: this.parseEducation(sections.education || []),
+      certifications: this.parseCertifications(sections.certifications || []),
+      skills: this.parseSkills(sections.skills || []),
+      total_experience_years: this.totalExperienceYears(experience)
+    };
+
+    logger.debug(`📑 Resume parsed: ${profile.experience.length} roles, ${profile.education.length} education, ${profile.certifications.length} certifications, ${profile.skills.length} skills, ${profile.total_experience_years ?? '?'} years`);
+    return profile;
+  }
+
+  // { header: [...], experience: [...lines], skills: [...], ... } - "Skills: Python, Go" starts a section too
+  splitSections(text) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.replace(/\s+$/, '');
+      if (!line.trim()) continue;
+
+      const heading = headingFor(stripBullet(line));
+      if (heading) {
+        current = heading;
+        sections[current] = sections[current] || [];
+        continue;
+      }
+
+      const inline = stripBullet(line).match(/^([A-Za-z][A-Za-z &/-]{1,40}):\s*(.+)$/);
+      const inlineHeading = inline && headingFor(inline[1]);
+      if (inlineHeading && inlineHeading !== 'other') {
+        current = inlineHeading;
+        sections[current] = sections[current] || [];
+        sections[current].push(inline[2]);
+        continue;
+      }
+
+      sections[current].push(line.trim());
+    }
+
+    return sections;
+  }
+
+  findDateRange(line) {
+    const match = line.match(DATE_RANGE);
+    if (!match) return null;
+
+    const start = parseDate(match[1]);
+    const isOpen = new RegExp(`^${OPEN_END}$`, 'i').test(match[2].trim());
+    const end = isOpen ? null : parseDate(match[2]);
+
+    if (!start || start.year > this.now.year + 1 || (!isOpen && !end)) return null;
+    if (end && monthIndex(end) < monthIndex(start)) return null;
+
+    return { text: match[0], start, end, current: isOpen };
+  }
+
+  // Roles are anchored on their date range; the short lines around it name the title and employer
+  parseExperience(lines) {
+    const entries = [];
+    let current = null;
+    let pending = [];
+
+    for (const line of lines) {
+      const isBullet = BULLET.test(line);
+      const range = !isBullet && this.findDateRange(line);
+
+      if (range) {
+        const rest = line.replace(range.text, ' ').replace(/[()[\]]/g, ' ').replace(/^[\s,|–—-]+|[\s,|–—-]+$/g, '');
+        current = { headerParts: [...pending.slice(-2), rest].filter(Boolean), range, descriptionStarted: false };
+        entries.push(current);
+        pending = [];
+        continue;
+      }
+
+      const text = stripBullet(line);
+      const isDescription = isBullet || text.split(/\s+/).length > 10 || /[.;]$/.test(text);
+
+      if (isDescription) {
+        if (current) current.descriptionStarted = true;
+        pending = [];
+        continue;
+      }
+
+      // "Acme Corp   Jan 2020 - Present" followed by the title (or the city) on the next line
+      if (current && !current.descriptionStarted) {
+        const { title, employer, location } = this.classifyHeader(current.headerParts);
+        if (!title || !employer || (!location && this.isLocation(text))) {
+          current.headerParts.push(text);
+          continue;
+        }
+      }
+
+      pending.push(text);
+    }
+
+    return entries.map(entry => this.buildExperience(entry));
+  }
+
+  buildExperience({ headerParts, range }) {
+    const { title, employer, location } = this.classifyHeader(headerParts);
+    const end = range.end || this.now;
+
+    return {
+      title: title || null,
+      employer: employer || null,
+      location: location || null,
+      start: formatDate(range.start),
+      end: range.current ? null : formatDate(range.end),
+      current: range.current,
+      duration_months: monthIndex(end) - monthIndex(range.start) + 1
+    };
+  }
+
+  // ["Senior Engineer at Acme Corp", "Bengaluru"] → { title, employer, location }
+  classifyHeader(parts) {
+    let title = null;
+    let employer = null;
+    let location = null;
+    const tokens = [];
+
+    for (const part of parts) {
+      const atSplit = part.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+      if (atSplit && ROLE_WORDS.test(atSplit[1])) {
+        title = title || atSplit[1].trim();
+        tokens.push(...atSplit[2].split(SEPARATORS));
+      } else {
+        tokens.push(...part.split(SEPARATORS));
+      }
+    }
+
+    const remaining = [];
+    for (const token of tokens.map(t => t.trim()).filter(t => t.length > 1)) {
+      if (!location && this.isLocation(token)) {
+        location = token;
+      } else if (!title && ROLE_WORDS.test(token)) {
+        title = token;
+      } else if (!employer && COMPANY_HINTS.test(token)) {
+        employer = token;
+      } else {
+        remaining.push(token);
+      }
+    }
+
+    employer = employer || remaining.find(token => !/^\d/.test(token)) || null;
+    return { title, employer, location };
+  }
+
+  isLocation(text) {
+    return Boolean(this.locationNormalizer.normalize(text)?.recognized) && !COMPANY_HINTS.test(text) && !ROLE_WORDS.test(text);
+  }
+
+  // Union of the role intervals, so overlapping jobs aren't counted twice
+  totalExperienceYears(experience) {
+    const intervals = experience
+      .map(role => {
+        const [startYear, startMonth] = role.start.split('-').map(Number);
+        const end = role.end ? role.end.split('-').map(Number) : [this.now.year, this.now.month];
+        return [startYear * 12 + startMonth - 1, end[0] * 12 + end[1] - 1];
+      })
+      .sort((a, b) => a[0] - b[0]);
+
+    if (intervals.length === 0) return null;
+
+    let months = 0;
+    let [currentStart, currentEnd] = intervals[0];
+
+    for (const [start, end] of intervals.slice(1)) {
+      if (start <= currentEnd + 1) {
+        currentEnd = Math.max(currentEnd, end);
+      } else {
+        months += currentEnd - currentStart + 1;
+        [currentStart, currentEnd] = [start, end];
+      }
+    }
+    months += currentEnd - currentStart + 1;
+
+    return Math.round(months / 12 * 10) / 10;
+  }
+
+  // A degree line starts an entry; institution / year lines fill in the one being built
+  parseEducation(lines) {
+    const entries = [];
+    let current = null;
+
+    for (const line of lines.map(stripBullet)) {
+      const tokens = line.split(SEPARATORS).map(t => t.trim()).filter(Boolean);
+      const degreeToken = tokens.find(token => DEGREE.test(token));
+      const institutionToken = tokens.find(token => INSTITUTION.test(token) && token !== degreeToken);
+
+      if (degreeToken && (!current || current.degree)) {
+        current = { degree: null, field: null, institution: null, start_year: null, end_year: null };
+        entries.push(current);
+      } else if (institutionToken && (!current || current.institution)) {
+        current = { degree: null, field: null, institution: null, start_year: null, end_year: null };
+        entries.push(current);
+      }
+
+      if (!current) continue;
+
+      if (degreeToken && !current.degree) {
+        const { degree, field } = this.splitDegree(degreeToken, tokens);
+        current.degree = degree;
+        current.field = current.field || field;
+      }
+      if (institutionToken && !current.institution) {
+        current.institution = institutionToken.replace(/\(?\b(19|20)\d{2}\b.*$/, '').trim();
+      }
+
+      const years = [...line.matchAll(YEAR)].map(match => parseInt(match[1], 10));
+      if (years.length > 0) {
+        const range = this.findDateRange(line);
+        current.start_year = current.start_year || (range || years.length > 1 ? years[0] : null);
+        current.end_year = range?.current ? null : years[years.length - 1];
+      }
+    }
+
+    return entries.filter(entry => entry.degree || entry.institution);
+  }
+
+  // "B.Tech in Computer Science" / "B.Tech (Computer Science)" / "B.Tech, Computer Science"
+  splitDegree(degreeToken, tokens) {
+    const match = degreeToken.match(DEGREE);
+    const degree = match[0].trim();
+    const after = degreeToken.slice(match.index + match[0].length)
+      .replace(/\(?\b(19|20)\d{2}\b.*$/, '')
+      .replace(/^[\s,:(-]*(?:in|of)?\s*/i, '')
+      .replace(/[)\s]+$/, '')
+      .trim();
+
+    let field = after || null;
+    if (!field) {
+      const next = tokens[tokens.indexOf(degreeToken) + 1];
+      if (next && !INSTITUTION.test(next) && !/\d{4}/.test(next) && !/(?:cgpa|gpa|percentage|%)/i.test(next)) {
+        field = next;
+      }
+    }
+
+    return { degree, field };
+  }
+
+  // "AWS Certified Solutions Architect - Amazon Web Services (2022)"
+  parseCertifications(lines) {
+    return uniqueBy(lines.map(stripBullet).filter(line => line.length > 2).map(line => {
+      const year = [...line.matchAll(YEAR)].map(match => parseInt(match[1], 10)).pop() || null;
+      const withoutYear = line.replace(/[(,\s-]*\b(?:issued\s+)?(?:[a-z]{3,9}\.?\s+)?(19|20)\d{2}\b\)?/gi, '').trim();
+
+      const issuedBy = withoutYear.match(/^(.+?)\s*(?:[-–—|,]\s*|\s+)(?:issued\s+)?by\s+(.+)$/i);
+      const parts = issuedBy ? [issuedBy[1], issuedBy[2]] : withoutYear.split(/\s*[|–—]\s*|\s+-\s+|\s*\((?=[^)]+\)$)/);
+
+      return {
+        name: parts[0].replace(/[()]/g, '').trim(),
+        issuer: parts[1] ? parts[1].replace(/[()]/g, '').trim() : null,
+        year
+      };
+    }), cert => cert.name.toLowerCase());
+  }
+
+  // Comma / bullet / pipe separated lists, with "Languages: ..." style group labels dropped
+  parseSkills(lines) {
+    const skills = lines
+      .map(stripBullet)
+      .map(line => line.replace(/^[A-Za-z][A-Za-z &/-]{1,30}:\s*/, ''))
+      .flatMap(line => line.split(/\s*[,;|•·●▪]\s*|\s{2,}|\t+|\s+\/\s+|\s+(?:and|&)\s+(?=[^,]*$)/i))
+      .map(skill => skill.replace(/^(?:and|&)\s+/i, '').replace(/[.\s]+$/, '').trim())
+      .filter(skill => skill.length > 0 && skill.length <= 40 && skill.split(/\s+/).length <= 4);
+
+    return uniqueBy(skills, skill => skill.toLowerCase()).slice(0, 60);
+  }
+}
+
+// Single-cell summaries for the sheet
+export function summarizeResumeProfile(profile) {
+  if (!profile) {
+    return { latestRole: null, employmentHistory: null, education: null, certifications: null, skills: null };
+  }
+
+  const formatPeriod = role => `${role.start} – ${role.current ? 'present' : role.end}`;
+  const describeRole = role => [role.title, role.employer].filter(Boolean).join(' @ ');
+  const latest = [...profile.experience].sort((a, b) =>
+    (b.current - a.current) || (b.end || '').localeCompare(a.end || '') || b.start.localeCompare(a.start)
+  )[0];
+
+  return {
+    latestRole: latest ? describeRole(latest) : null,
+    employmentHistory: profile.experience
+      .map(role => `${describeRole(role) || 'Unknown role'} (${formatPeriod(role)}, ${(role.duration_months / 12).toFixed(1)}y)`)
+      .join('; ') || null,
+    education: profile.education
+      .map(entry => `${[entry.degree, entry.field].filter(Boolean).join(' ')}${entry.institution ? `, ${entry.institution}` : ''}${entry.end_year ? ` (${entry.end_year})` : ''}`)
+      .join('; ') || null,
+    certifications: profile.certifications
+      .map(cert => `${cert.name}${cert.issuer ? ` (${cert.issuer})` : ''}${cert.year ? ` ${cert.year}` : ''}`)
+      .join('; ') || null,
+    skills: profile.skills.join(', ') || null
+  };
+}
@@ -0,0 +1,148 @@
+// src/utils/schema.js - JSON Schema checks for LLM replies, plus field validators
+//
+// Covers the subset our LLM schemas use: type (string or list, incl. "null"), properties,
+// required, additionalProperties: false, enum, items, minimum / maximum, minLength / maxLength
+// and maxItems. Anything else in a schema is ignored.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// [] when valid, otherwise messages like "$.email: expected string or null, got number"
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${path}.${name}: is required`);
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Field validators: { valid, value (normalised), reason? }. null / empty means "not found" and is valid.
+
+export function validatePhone(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return { valid: true, value: null };
+
+  const phone = String(value).trim();
+  if (/[a-z]/i.test(phone.replace(/\b(?:ext|x)\.?\s*\d+$/i, ''))) {
+    return { valid: false, value: null, reason: `phone number contains letters: "${phone}"` };
+  }
+
+  // E.164 allows at most 15 digits; fewer than 7 is an extension or a fragment
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) {
+    return { valid: false, value: null, reason: `phone number has ${digits.length} digits: "${phone}"` };
+  }
+
+  return { valid: true, value: phone };
+}
+
+export function validateEmail(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return { valid: true, value: null };
+
+  const email = String(value).trim().replace(/^mailto:/i, '').toLowerCase();
+  if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(email)) {
+    return { valid: false, value: null, reason: `not an email address: "${value}"` };
+  }
+
+  return { valid: true, value: email };
+}
+
+// linkedin.com/in/<handle> (or the old /pub/ form) → https://www.linkedin.com/in/<handle>
+export function validateLinkedInUrl(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return { valid: true, value: null };
+
+  const match = /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/(in|pub)\/([^\s/?#]+)(\/[^\s?#]*)?(?:[?#]\S*)?$/i.exec(String(value).trim());
+  if (!match) {
+    return { valid: false, value: null, reason: `not a LinkedIn profile URL: "${value}"` };
+  }
+
+  const [, kind, handle, rest = ''] = match;
+  return { valid: true, value: `https://www.linkedin.com/${kind.toLowerCase()}/${handle}${rest.replace(/\/$/, '')}` };
+}
+
+// github.com/<user>[/<repo>] → https://github.com/<user>
+export function validateGitHubUrl(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return { valid: true, value: null };
+
+  const match = /^(?:https?:\/\/)?(?:www\.)?github\.com\/([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))(?:[/?#]\S*)?$/i.exec(String(value).trim());
+  if (!match) {
+    return { valid: false, value: null, reason: `not a GitHub profile URL: "${value}"` };
+  }
+
+  return { valid: true, value: `https://github.com/${match[1]}` };
+}
+
+// Any http(s) URL; a bare "name.dev/work" gets https:// added
+export function validateUrl(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return { valid: true, value: null };
+
+  const raw = String(value).trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) throw new Error('not a web address');
+    return { valid: true, value: url.href };
+  } catch {
+    return { valid: false, value: null, reason: `not a URL: "${value}"` };
+  }
+}
+
+// Validator factory for numbers that must fall in [min, max]
+export function numberInRange(min, max) {
+  return value => {
+    if (value === null || value === undefined) return { valid: true, value: null };
+    if (typeof value !== 'number' || value < min || value > max) {
+      return { valid: false, value: null, reason: `${value} is outside ${min}-${max}` };
+    }
+    return { valid: true, value };
+  };
+}
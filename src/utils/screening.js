@@ -0,0 +1,237 @@
+// src/utils/screening.js - Screening-question text → [{ question, answer, met, value, key }]
+import fs from 'fs';
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const QUESTION_OPENERS = 'how|what|are|do|does|did|can|could|have|has|will|would|is|when|which|where|why|please';
+// Capitalised openers first - in collapsed text they mark where the next question begins
+const QUESTION_START = new RegExp(`\\b(?:${QUESTION_OPENERS.replace(/\b[a-z]/g, c => c.toUpperCase())})\\b`);
+const QUESTION_START_ANY_CASE = new RegExp(`\\b(?:${QUESTION_OPENERS})\\b`, 'i');
+const SUMMARY_PREFIX = /^\d+\s+out\s+of\s+\d+\s+(?:preferred\s+)?qualifications?\s+met\b\s*/i;
+const MET_MARK = /^[✓✔✅☑]\s*/;
+const NOT_MET_MARK = /^[✗✘❌×✕]\s*/;
+const MET_SUFFIX = /\s*(?:[-–(]\s*)?\b(met|meets|not met|doesn'?t meet|does not meet)\s*\)?\s*$/i;
+const IDEAL_ANSWER = /^(?:ideal|preferred|required)\s+answer\s*[:\-–]\s*(.+)$/i;
+const GIVEN_ANSWER = /^(?:(?:applicant|candidate)'?s?\s+)?(?:answer|response)\s*[:\-–]\s*(.+)$/i;
+const LABELED = /^([A-Za-z][^:?]{1,60}?)\s*:\s*(.+)$/;
+
+// Duration words → multiplier into the question's configured unit
+const UNIT_FACTORS = {
+  days: { day: 1, week: 7, month: 30, year: 365 },
+  years: { day: 1 / 365, week: 1 / 52, month: 1 / 12, year: 1 }
+};
+
+let cachedConfig = null;
+
+// { default: [...], jobs: { [project_id]: [...] } } with compiled patterns
+export function loadScreeningConfig(configPath = CONFIG.SCREENING_QUESTIONS_PATH) {
+  if (cachedConfig && cachedConfig.path === configPath) return cachedConfig;
+
+  let raw = { default: [], jobs: {} };
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    logger.warn(`⚠️ Could not load screening questions from ${configPath}: ${error.message}`);
+  }
+
+  const compile = questions => (questions || []).map(question => ({
+    ...question,
+    regexes: (question.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+  }));
+
+  cachedConfig = {
+    path: configPath,
+    default: compile(raw.default),
+    jobs: Object.fromEntries(
+      Object.entries(raw.jobs || {}).map(([projectId, questions]) => [projectId, compile(questions)])
+    )
+  };
+
+  return cachedConfig;
+}
+
+// Every known question (defaults first, then per-job additions) in config order, deduped by key
+export function getKnownQuestions(config = loadScreeningConfig()) {
+  const seen = new Set();
+  const all = [...config.default, ...Object.values(config.jobs).flat()];
+
+  return all.filter(question => {
+    if (seen.has(question.key)) return false;
+    seen.add(question.key);
+    return true;
+  });
+}
+
+export class ScreeningParser {
+  constructor(config = loadScreeningConfig()) {
+    this.config = config;
+  }
+
+  parse(text, projectId = null) {
+    if (!text) return [];
+
+    const records = [];
+    let pending = null;
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.replace(/\s+/g, ' ').trim().replace(SUMMARY_PREFIX, '');
+      if (!line) continue;
+
+      const ideal = line.match(IDEAL_ANSWER);
+      const given = line.match(GIVEN_ANSWER);
+      const last = records[records.length - 1];
+
+      if (ideal && last) {
+        last.ideal_answer = ideal[1].trim();
+        continue;
+      }
+      if (given && last) {
+        last.answer = given[1].trim();
+        pending = null;
+        continue;
+      }
+
+      if (MET_MARK.test(line) || NOT_MET_MARK.test(line)) {
+        records.push(this.createRecord(line.replace(MET_MARK, '').replace(NOT_MET_MARK, ''), null, MET_MARK.test(line)));
+        pending = null;
+        continue;
+      }
+
+      if (line.includes('?')) {
+        const { questions, leading } = this.splitQuestions(line);
+        if (pending && leading) pending.answer = leading;
+
+        for (const { question, answer } of questions) {
+          records.push(this.createRecord(question, answer));
+        }
+
+        const tail = records[records.length - 1];
+        pending = tail && !tail.answer ? tail : null;
+        continue;
+      }
+
+      if (pending) {
+        pending.answer = line;
+        pending = null;
+        continue;
+      }
+
+      const labeled = line.match(LABELED);
+      if (labeled) {
+        records.push(this.createRecord(labeled[1], labeled[2]));
+        continue;
+      }
+
+      const suffix = line.match(MET_SUFFIX);
+      if (suffix) {
+        records.push(this.createRecord(line, null, /^(?:met|meets)$/i.test(suffix[1])));
+      }
+    }
+
+    return records.map(record => this.finalize(record, projectId));
+  }
+
+  // "Q1? A1 Q2? A2" (also the whitespace-collapsed form) → [{ question, answer }]
+  splitQuestions(line) {
+    const chunks = line.split(/(?<=\?)/);
+    const questions = [];
+    let leading = null;
+
+    for (const chunk of chunks) {
+      if (!chunk.trim()) continue;
+
+      if (!chunk.includes('?')) {
+        // Text after the final "?" is that question's answer
+        if (questions.length > 0) questions[questions.length - 1].answer = chunk.trim() || null;
+        continue;
+      }
+
+      // A chunk = previous question's answer + this question; split at the question's opening word
+      let start = chunk.search(QUESTION_START);
+      if (start < 0) start = chunk.search(QUESTION_START_ANY_CASE);
+      const before = start > 0 ? chunk.slice(0, start).trim() : '';
+      const question = (start >= 0 ? chunk.slice(start) : chunk).trim();
+
+      if (before) {
+        if (questions.length > 0) {
+          questions[questions.length - 1].answer = before;
+        } else {
+          leading = before;
+        }
+      }
+
+      questions.push({ question, answer: null });
+    }
+
+    return { questions, leading };
+  }
+
+  createRecord(question, answer, met = null) {
+    const suffix = question.match(MET_SUFFIX);
+    if (suffix && met === null) {
+      met = /^(?:met|meets)$/i.test(suffix[1]);
+    }
+
+    return {
+      question: question.replace(MET_SUFFIX, '').trim(),
+      answer: answer ? answer.trim() : null,
+      met
+    };
+  }
+
+  finalize(record, projectId) {
+    const known = this.matchKnownQuestion(record.question, projectId);
+    const value = this.numericValue(record.answer, known?.unit);
+
+    let met = record.met;
+    if (met === null && record.ideal_answer && record.answer) {
+      const idealValue = this.numericValue(record.ideal_answer, known?.unit);
+      met = idealValue !== null && value !== null
+        ? value >= idealValue
+        : record.ideal_answer.toLowerCase() === record.answer.toLowerCase();
+    }
+
+    return {
+      question: record.question,
+      answer: record.answer,
+      met,
+      value,
+      key: known?.key || null,
+      ...(record.ideal_answer ? { ideal_answer: record.ideal_answer } : {})
+    };
+  }
+
+  // Job-specific questions win over the defaults
+  matchKnownQuestion(question, projectId) {
+    const candidates = [...(this.config.jobs[projectId] || []), ...this.config.default];
+    return candidates.find(known => known.regexes.some(regex => regex.test(question))) || null;
+  }
+
+  // "4 Years 2 Months" → 4.17 (years), "2 weeks" → 14 (days), "Immediate" → 0, "12 LPA" → 12
+  numericValue(answer, unit = null) {
+    if (!answer) return null;
+    if (/\b(?:immediate(?:ly)?|right away)\b/i.test(answer)) return 0;
+
+    const factors = UNIT_FACTORS[unit];
+    if (factors) {
+      let total = 0;
+      let found = false;
+      const durations = /(\d+(?:\.\d+)?)\s*\+?\s*(day|week|month|year|yr)s?\b/gi;
+
+      let match;
+      while ((match = durations.exec(answer)) !== null) {
+        const period = match[2].toLowerCase() === 'yr' ? 'year' : match[2].toLowerCase();
+        total += parseFloat(match[1]) * factors[period];
+        found = true;
+      }
+
+      if (found) return Math.round(total * 100) / 100;
+    }
+
+    // Only answers that lead with a number ("12 Lacs", "$90,000") - not "H1B" or "Java 8"
+    const number = answer.replace(/,/g, '').match(/^\s*(?:about|around|approx\.?|~)?\s*(?:INR|Rs\.?|₹|\$|USD|EUR|€|£)?\s*(-?\d+(?:\.\d+)?)/i);
+    return number ? parseFloat(number[1]) : null;
+  }
+}
@@ -0,0 +1,180 @@
+// src/utils/skills.js - Skills taxonomy (canonical names + synonyms) and per-job skill match reports
+import fs from 'fs';
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+function skillKey(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:()-]+|[\s,;:()-]+$/g, '')
+    .trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word boundaries that keep "C++", "C#", ".NET" and "Node.js" intact
+function termPattern(term) {
+  const body = escapeRegex(term).replace(/\\ |\s+/g, '[\\s-]+');
+  return new RegExp(`(?<![A-Za-z0-9+#.])${body}(?![A-Za-z0-9+#]|\\.[A-Za-z0-9])`, 'i');
+}
+
+let cachedConfig = null;
+
+// { aliases: Map(name → canonical), textPatterns, categories, jobs, canonicalize } - cached per path
+export function loadSkillsConfig(configPath = CONFIG.SKILLS_CONFIG_PATH) {
+  if (cachedConfig && cachedConfig.path === configPath) return cachedConfig;
+
+  let raw = { skills: {}, jobs: {} };
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    logger.warn(`⚠️ Could not load skills taxonomy from ${configPath}: ${error.message}`);
+  }
+
+  const aliases = new Map();
+  const ambiguousNames = new Set();
+  const textPatterns = [];
+  const categories = {};
+
+  for (const [canonical, definition] of Object.entries(raw.skills || {})) {
+    const ambiguous = new Set((definition.ambiguous || []).map(skillKey));
+    categories[canonical] = definition.category || null;
+
+    for (const name of [canonical, ...(definition.aliases || [])]) {
+      const k = skillKey(name);
+      if (!k) continue;
+
+      if (aliases.has(k) && aliases.get(k) !== canonical) {
+        logger.warn(`⚠️ Skill alias "${name}" is listed for both ${aliases.get(k)} and ${canonical} - keeping ${aliases.get(k)}`);
+        continue;
+      }
+
+      aliases.set(k, canonical);
+      if (ambiguous.has(k)) ambiguousNames.add(k);
+      else textPatterns.push([canonical, termPattern(name), k.length]);
+    }
+  }
+  textPatterns.sort((a, b) => b[2] - a[2]);
+
+  const canonicalize = name => aliases.get(skillKey(name)) || null;
+  // Same, but null for `ambiguous` names - for telling skill words apart from other text ("DL", "Spring")
+  const canonicalizeUnambiguous = name => ambiguousNames.has(skillKey(name)) ? null : canonicalize(name);
+
+  // Job requirements may use any alias; unknown names are kept as written
+  const jobs = Object.fromEntries(Object.entries(raw.jobs || {}).map(([projectId, job]) => {
+    const resolve = names => [...new Set((names || []).map(name => {
+      const canonical = canonicalize(name);
+      if (!canonical) logger.warn(`⚠️ Job ${projectId} skill "${name}" is not in the skills taxonomy - matched by exact name only`);
+      return canonical || name.trim();
+    }))];
+
+    return [projectId, {
+      title: job.title || null,
+      required: resolve(job.required),
+      nice_to_have: resolve(job.nice_to_have)
+    }];
+  }));
+
+  cachedConfig = { path: configPath, aliases, textPatterns, categories, jobs, canonicalize, canonicalizeUnambiguous };
+  logger.debug(`🧠 Skills taxonomy loaded: ${Object.keys(categories).length} skills, ${aliases.size} names, ${Object.keys(jobs).length} job(s)`);
+
+  return cachedConfig;
+}
+
+// One pattern for every unambiguous taxonomy name, for telling skill words apart from other text
+// (the email parser's location and screening checks). Matches nothing for an empty taxonomy.
+export function skillTermPattern(config = loadSkillsConfig(), flags = 'i') {
+  if (config.textPatterns.length === 0) return new RegExp('(?!)', flags);
+  return new RegExp(config.textPatterns.map(([, pattern]) => `(?:${pattern.source})`).join('|'), flags);
+}
+
+export class SkillMatcher {
+  constructor(config = loadSkillsConfig()) {
+    this.config = config;
+  }
+
+  // "JS" → "JavaScript"; null when the name is not in the taxonomy
+  canonicalize(name) {
+    return this.config.canonicalize(name);
+  }
+
+  // Taxonomy skills mentioned anywhere in free text (ambiguous names excluded). Longest names
+  // match first and blank out their text, so "node js" doesn't also count as "JS".
+  findInText(text) {
+    if (!text) return [];
+
+    let remaining = text;
+    const found = new Set();
+
+    for (const [canonical, pattern] of this.config.textPatterns) {
+      const global = new RegExp(pattern.source, 'gi');
+      if (!global.test(remaining)) continue;
+
+      found.add(canonical);
+      remaining = remaining.replace(global, ' ');
+    }
+
+    return [...found];
+  }
+
+  // Listed skills (resume skills section) + skills mentioned in the resume text → canonical names.
+  // Listed skills outside the taxonomy are kept as written so they still show up as extras.
+  collectSkills({ listed = [], text = null } = {}) {
+    const skills = [];
+    const seen = new Set();
+    const add = name => {
+      const k = skillKey(name);
+      if (!k || seen.has(k)) return;
+      seen.add(k);
+      skills.push(name);
+    };
+
+    for (const name of listed || []) {
+      add(this.canonicalize(name) || name.trim());
+    }
+    for (const name of this.findInText(text)) {
+      add(name);
+    }
+
+    return skills;
+  }
+
+  getJob(projectId) {
+    return (projectId && this.config.jobs[projectId]) || null;
+  }
+
+  // { project_id, configured, matched_required, missing_required, matched_nice_to_have,
+  //   missing_nice_to_have, extra, required_coverage, skills }
+  match(applicantSkills, projectId = null) {
+    const skills = applicantSkills || [];
+    const has = new Set(skills.map(skillKey));
+    const job = this.getJob(projectId);
+
+    const required = job?.required || [];
+    const niceToHave = job?.nice_to_have || [];
+    const wanted = new Set([...required, ...niceToHave].map(skillKey));
+
+    const report = {
+      project_id: projectId || null,
+      configured: Boolean(job),
+      matched_required: required.filter(skill => has.has(skillKey(skill))),
+      missing_required: required.filter(skill => !has.has(skillKey(skill))),
+      matched_nice_to_have: niceToHave.filter(skill => has.has(skillKey(skill))),
+      missing_nice_to_have: niceToHave.filter(skill => !has.has(skillKey(skill))),
+      extra: skills.filter(skill => !wanted.has(skillKey(skill))),
+      required_coverage: null,
+      skills
+    };
+
+    if (required.length > 0) {
+      report.required_coverage = Math.round(report.matched_required.length / required.length * 100) / 100;
+    }
+
+    return report;
+  }
+}
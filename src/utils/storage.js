@@ -1,6 +1,7 @@
 // src/utils/storage.js - Enhanced with dual table tracking for your schema
 import { createClient } from '@supabase/supabase-js';
 import { CONFIG } from '../config.js';
+import { countBy } from './location.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger();
@@ -10,6 +11,12 @@ export class StorageManager {
     this.supabase = createClient(CONFIG.SUPABASE_URL, CONFIG.SUPABASE_KEY);
     this.processedMessagesTable = CONFIG.PROCESSED_MESSAGES_TABLE;
     this.applicantDetailsTable = CONFIG.TABLE_NAME;
+    this.syncStateTable = CONFIG.SYNC_STATE_TABLE;
+    this.attachmentIndexTable = CONFIG.ATTACHMENT_INDEX_TABLE;
+    this.jobDescriptionsTable = CONFIG.JOB_DESCRIPTIONS_TABLE;
+    this.llmUsageTable = CONFIG.LLM_USAGE_TABLE;
+    this.llmUsageFunction = CONFIG.LLM_USAGE_FUNCTION;
+    this.ocrTempDocsTable = CONFIG.OCR_TEMP_DOCS_TABLE;
     logger.info('💾 Enhanced storage manager initialized with dual table tracking');
     logger.info(`   Applicant Table: ${this.applicantDetailsTable} (PK: email)`);
     logger.info(`   Processing Table: ${this.processedMessagesTable} (PK: message_id)`);
@@ -182,13 +189,58 @@ export class StorageManager {
         name: applicantData.name || null,
         title: applicantData.title || null,
         location: applicantData.location || null,
+        location_details: applicantData.location_details || null,
+        location_city: applicantData.location_city || null,
+        location_region: applicantData.location_region || null,
+        location_country_code: applicantData.location_country_code || null,
+        work_mode: applicantData.work_mode || null,
+        location_recognized: applicantData.location_recognized ?? null,
         expected_compensation: applicantData.expected_compensation || null,
         project_id: applicantData.project_id || null,
         screening_questions: applicantData.screening_questions || null,
+        screening_answers: applicantData.screening_answers || [],
+        compensation: applicantData.compensation || [],
+        expected_compensation_annual: applicantData.expected_compensation_annual ?? null,
+        current_compensation_annual: applicantData.current_compensation_annual ?? null,
+        compensation_currency: applicantData.compensation_currency || null,
+        source: applicantData.source || null,
         resume_raw_text: applicantData.resume_raw_text || null,
+        resume_profile: applicantData.resume_profile || null,
+        resume_experience_years: applicantData.resume_experience_years ?? null,
+        current_employer: applicantData.current_employer || null,
+        current_title: applicantData.current_title || null,
+        total_experience_years: applicantData.total_experience_years ?? null,
+        notice_period: applicantData.notice_period || null,
+        notice_period_days: applicantData.notice_period_days ?? null,
+        highest_degree: applicantData.highest_degree || null,
+        key_skills: applicantData.key_skills || [],
+        github_url: applicantData.github_url || null,
+        portfolio_url: applicantData.portfolio_url || null,
+        profile_summary: applicantData.profile_summary || null,
+        skills: applicantData.skills || [],
+        skill_match: applicantData.skill_match || null,
+        required_skill_coverage: applicantData.required_skill_coverage ?? null,
+        fit_score: applicantData.fit_score ?? null,
+        fit_rationale: applicantData.fit_rationale || null,
+        fit_red_flags: applicantData.fit_red_flags || [],
+        fit_job_key: applicantData.fit_job_key || null,
+        llm_calls: applicantData.llm_calls ?? 0,
+        llm_prompt_tokens: applicantData.llm_prompt_tokens ?? 0,
+        llm_completion_tokens: applicantData.llm_completion_tokens ?? 0,
+        llm_cost_usd: applicantData.llm_cost_usd ?? null,
         mobile_number: applicantData.mobile_number || null,
         linkedin_url: applicantData.linkedin_url || null,
         resume_drive_link: applicantData.resume_drive_link || null,
+        cover_letter_text: applicantData.cover_letter_text || null,
+        cover_letter_drive_link: applicantData.cover_letter_drive_link || null,
+        portfolio_text: applicantData.portfolio_text || null,
+        portfolio_drive_link: applicantData.portfolio_drive_link || null,
+        attachments: applicantData.attachments || [],
+        resume_sha256: applicantData.resume_sha256 || null,
+        same_resume_as: applicantData.same_resume_as || [],
+        field_provenance: applicantData.field_provenance || null,
+        confidence: applicantData.confidence ?? null,
+        low_confidence_fields: applicantData.low_confidence_fields || [],
         processed_at: new Date().toISOString()
       };
 
@@ -213,7 +265,7 @@ export class StorageManager {
     try {
       const { data, error } = await this.supabase
         .from(this.applicantDetailsTable)
-        .select('email, processed_at, mobile_number, linkedin_url, resume_drive_link, message_id');
+        .select('email, processed_at, mobile_number, linkedin_url, resume_drive_link, message_id, location_city, location_country_code');
       
       if (error) throw error;
       
@@ -223,11 +275,291 @@ export class StorageManager {
         withLinkedIn: data.filter(a => a.linkedin_url).length,
         withResume: data.filter(a => a.resume_drive_link).length,
         withMessageId: data.filter(a => a.message_id).length,
+        byCountry: countBy(data, a => a.location_country_code),
+        byCity: countBy(data, a => a.location_city && `${a.location_city}, ${a.location_country_code}`),
         latest: data.length > 0 ? data.sort((a, b) => new Date(b.processed_at) - new Date(a.processed_at))[0] : null
       };
     } catch (error) {
       logger.error(`Error getting applicant stats:`, error);
-      return { total: 0, withMobile: 0, withLinkedIn: 0, withResume: 0, withMessageId: 0, latest: null };
+      return { total: 0, withMobile: 0, withLinkedIn: 0, withResume: 0, withMessageId: 0, byCountry: {}, byCity: {}, latest: null };
+    }
+  }
+
+  // 🚀 NEW: Filter on the normalised location columns, e.g. { countryCode: 'IN', city: 'Bengaluru' }
+  async getApplicantsByLocation({ countryCode = null, region = null, city = null, workMode = null } = {}, limit = 100) {
+    try {
+      let query = this.supabase
+        .from(this.applicantDetailsTable)
+        .select('email, name, title, location, location_city, location_region, location_country_code, work_mode, project_id, processed_at');
+      
+      if (countryCode) query = query.eq('location_country_code', countryCode.toUpperCase());
+      if (region) query = query.ilike('location_region', region);
+      if (city) query = query.ilike('location_city', city);
+      if (workMode) query = query.eq('work_mode', workMode);
+      
+      const { data, error } = await query
+        .order('processed_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error filtering applicants by location:`, error);
+      return [];
+    }
+  }
+
+  // 🚀 NEW: Shortlist for a job - best required-skill coverage first
+  async getApplicantsBySkillMatch(projectId, { minCoverage = 0 } = {}, limit = 100) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.applicantDetailsTable)
+        .select('email, name, title, project_id, required_skill_coverage, skill_match, resume_experience_years, processed_at')
+        .eq('project_id', projectId)
+        .gte('required_skill_coverage', minCoverage)
+        .order('required_skill_coverage', { ascending: false })
+        .order('processed_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error shortlisting applicants by skill match:`, error);
+      return [];
+    }
+  }
+
+  // 🚀 NEW: Fit-score ranking for a job - highest LLM fit score first
+  async getApplicantsByFitScore(projectId, { minScore = 0 } = {}, limit = 100) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.applicantDetailsTable)
+        .select('email, name, title, project_id, fit_score, fit_rationale, fit_red_flags, required_skill_coverage, processed_at')
+        .eq('project_id', projectId)
+        .gte('fit_score', minScore)
+        .order('fit_score', { ascending: false })
+        .order('processed_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error ranking applicants by fit score:`, error);
+      return [];
+    }
+  }
+
+  // 🚀 NEW: Job description row by project_id, else by job title (case-insensitive)
+  async getJobDescription({ projectId = null, title = null } = {}) {
+    try {
+      const lookups = [
+        projectId && (query => query.eq('project_id', projectId)),
+        title && (query => query.ilike('title', title.replace(/[%_\\]/g, '\\$&')))
+      ].filter(Boolean);
+
+      for (const filter of lookups) {
+        const { data, error } = await filter(this.supabase
+          .from(this.jobDescriptionsTable)
+          .select('project_id, title, description'))
+          .limit(1);
+
+        if (error) throw error;
+        if (data?.[0]?.description) return data[0];
+      }
+
+      return null;
+    } catch (error) {
+      logger.warn(`⚠️ Could not load job description for ${projectId || title}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // 🚀 NEW: LLM spend so far on a (UTC) day, all models - 0 when it can't be read
+  async getDailyLLMSpend(day) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.llmUsageTable)
+        .select('cost_usd')
+        .eq('day', day);
+
+      if (error) throw error;
+      return (data || []).reduce((sum, row) => sum + (Number(row.cost_usd) || 0), 0);
+    } catch (error) {
+      logger.warn(`⚠️ Could not load LLM spend for ${day}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // 🚀 MODIFIED: Add calls / tokens / cost to the day's row for a provider + model in one
+  // statement (the LLM_USAGE_FUNCTION Postgres function), so overlapping runs don't lose updates
+  async recordDailyLLMUsage(day, { provider, model, calls, promptTokens, completionTokens, costUsd }) {
+    try {
+      const { error } = await this.supabase.rpc(this.llmUsageFunction, {
+        p_day: day,
+        p_provider: provider,
+        p_model: model,
+        p_calls: calls,
+        p_prompt_tokens: promptTokens,
+        p_completion_tokens: completionTokens,
+        p_cost_usd: Math.round(costUsd * 1e6) / 1e6
+      });
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error(`Error recording LLM usage for ${day} (function ${this.llmUsageFunction}):`, error.message);
+    }
+  }
+
+  // 🚀 NEW: Sync cursor persistence (e.g. last seen Gmail historyId)
+  async getSyncState(syncKey) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.syncStateTable)
+        .select('sync_key, history_id, updated_at')
+        .eq('sync_key', syncKey)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+
+      if (data) {
+        logger.info(`🔁 Loaded sync state for ${syncKey}: historyId ${data.history_id} (${data.updated_at})`);
+      }
+
+      return data?.history_id || null;
+    } catch (error) {
+      logger.warn(`⚠️ Could not load sync state for ${syncKey}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async saveSyncState(syncKey, historyId) {
+    try {
+      const { error } = await this.supabase
+        .from(this.syncStateTable)
+        .upsert([{
+          sync_key: syncKey,
+          history_id: String(historyId),
+          updated_at: new Date().toISOString()
+        }], {
+          onConflict: 'sync_key'
+        });
+
+      if (error) throw error;
+
+      logger.info(`🔁 Saved sync state for ${syncKey}: historyId ${historyId}`);
+    } catch (error) {
+      logger.error(`Error saving sync state for ${syncKey}:`, error.message);
+    }
+  }
+
+  // 🚀 NEW: Drive OCR temp docs pending deletion (OCR_JOURNAL_STORE=supabase). Failures are
+  // logged, never thrown - the sweep command still finds any doc the journal misses.
+  async listOcrTempDocs() {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.ocrTempDocsTable)
+        .select('doc_id, name, created_at')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).map(row => ({ id: row.doc_id, name: row.name, created_at: row.created_at }));
+    } catch (error) {
+      logger.warn(`⚠️ Could not read OCR temp docs from ${this.ocrTempDocsTable}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async addOcrTempDoc({ id, name, created_at }) {
+    try {
+      const { error } = await this.supabase
+        .from(this.ocrTempDocsTable)
+        .upsert([{ doc_id: id, name, created_at }], {
+          onConflict: 'doc_id'
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      // 🚀 MODIFIED: Thrown - an unrecorded temp doc is deleted instead of OCR'd (DriveService.processWithOCR)
+      throw new Error(`Could not record OCR temp doc ${id}: ${error.message}`);
+    }
+  }
+
+  async removeOcrTempDoc(id) {
+    try {
+      const { error } = await this.supabase
+        .from(this.ocrTempDocsTable)
+        .delete()
+        .eq('doc_id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Could not remove OCR temp doc ${id} from ${this.ocrTempDocsTable}: ${error.message}`);
+    }
+  }
+
+  // 🚀 NEW: Content-hash index of uploaded attachments (sha256 → Drive file + extracted text).
+  // Lookup failures return null so the attachment is simply uploaded again.
+  async getAttachmentByHash(sha256) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.attachmentIndexTable)
+        .select('sha256, drive_file_id, drive_link, filename, mime_type, size, extracted_text, original_text, extraction_method, first_seen_at')
+        .eq('sha256', sha256)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.warn(`⚠️ Could not look up attachment hash ${sha256.slice(0, 12)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Upsert leaves columns missing from `record` alone (first_seen_at, extracted text)
+  async saveAttachmentHash(record) {
+    try {
+      const { error } = await this.supabase
+        .from(this.attachmentIndexTable)
+        .upsert([{ ...record, last_seen_at: new Date().toISOString() }], {
+          onConflict: 'sha256'
+        });
+
+      if (error) throw error;
+      logger.debug(`🔑 Indexed attachment ${record.sha256.slice(0, 12)} → ${record.drive_file_id}`);
+    } catch (error) {
+      logger.error(`Error indexing attachment hash ${record.sha256.slice(0, 12)}:`, error.message);
+    }
+  }
+
+  async updateAttachmentHash(sha256, fields) {
+    try {
+      const { error } = await this.supabase
+        .from(this.attachmentIndexTable)
+        .update({ ...fields, last_seen_at: new Date().toISOString() })
+        .eq('sha256', sha256);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error(`Error updating attachment hash ${sha256.slice(0, 12)}:`, error.message);
+    }
+  }
+
+  // 🚀 NEW: Other applicants who sent the exact same resume file
+  async getApplicantsByResumeHash(sha256, excludeEmail = null) {
+    try {
+      let query = this.supabase
+        .from(this.applicantDetailsTable)
+        .select('email, name, project_id, processed_at')
+        .eq('resume_sha256', sha256);
+
+      if (excludeEmail) query = query.neq('email', excludeEmail);
+
+      const { data, error } = await query.order('processed_at', { ascending: false });
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.warn(`⚠️ Could not look up applicants by resume hash: ${error.message}`);
+      return [];
     }
   }
 
@@ -0,0 +1,204 @@
+// src/utils/text-extractor.js - In-process resume text (text-layer PDF, DOCX, RTF, plain text)
+import { CONFIG } from '../config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger();
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// mimeType → [extractor method, result method label, may be a scan without a text layer]
+const EXTRACTORS = {
+  'application/pdf': ['extractPdf', 'local_pdf', true],
+  [DOCX_MIME]: ['extractDocx', 'local_docx', false],
+  'application/rtf': ['extractRtf', 'local_rtf', false],
+  'text/rtf': ['extractRtf', 'local_rtf', false],
+  'text/plain': ['extractPlainText', 'direct_text', false]
+};
+
+// Attachments often arrive as application/octet-stream - fall back to the extension
+const EXTENSION_MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: DOCX_MIME,
+  rtf: 'application/rtf',
+  txt: 'text/plain'
+};
+
+// RTF groups whose text is formatting metadata, not document content
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles'
+]);
+
+export class LocalTextExtractor {
+  constructor({ minCharsPerPage = CONFIG.MIN_TEXT_LAYER_CHARS } = {}) {
+    this.minCharsPerPage = minCharsPerPage;
+  }
+
+  resolveMimeType(mimeType, filename = '') {
+    if (EXTRACTORS[mimeType]) return mimeType;
+
+    const extension = filename.split('.').pop().toLowerCase();
+    return EXTENSION_MIME_TYPES[extension] || mimeType;
+  }
+
+  canExtract(mimeType, filename = '') {
+    return Boolean(EXTRACTORS[this.resolveMimeType(mimeType, filename)]);
+  }
+
+  // { text, method, pages?, totalPages?, needsOCR, reason? } - needsOCR means "no usable text layer,
+  // send to OCR". maxPages stops PDFs after the first N pages (large files).
+  async extract(fileBuffer, filename, mimeType, { maxPages = null } = {}) {
+    const resolved = this.resolveMimeType(mimeType, filename);
+    const extractor = EXTRACTORS[resolved];
+
+    if (!extractor) {
+      throw new Error(`No local extractor for ${mimeType}`);
+    }
+
+    const [extractorMethod, method, mayBeScanned] = extractor;
+    const startTime = Date.now();
+    const { text, pages = 1, totalPages = pages } = await this[extractorMethod](fileBuffer, { maxPages });
+
+    const cleanText = (text || '').replace(/\r/g, '').replace(/[ \t]+\n/g, '\n').trim();
+    const meaningfulChars = cleanText.replace(/\s/g, '').length;
+    const needsOCR = mayBeScanned && meaningfulChars < this.minCharsPerPage * pages;
+
+    logger.debug(`📖 Local ${method} extraction of ${filename}: ${meaningfulChars} chars over ${pages} page(s) in ${Date.now() - startTime}ms`);
+
+    return {
+      text: cleanText,
+      method,
+      pages,
+      totalPages,
+      needsOCR,
+      ...(needsOCR ? { reason: `Too little embedded text (${meaningfulChars} chars over ${pages} page(s))` } : {})
+    };
+  }
+
+  async extractPdf(fileBuffer, { maxPages = null } = {}) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+    const pdf = await pdfjs.getDocument({
+      data: new Uint8Array(fileBuffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const pageTexts = [];
+      const pages = maxPages ? Math.min(pdf.numPages, maxPages) : pdf.numPages;
+
+      for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+
+        pageTexts.push(content.items
+          .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+          .join('')
+          .replace(/[ \t]{2,}/g, ' '));
+
+        page.cleanup();
+      }
+
+      return { text: pageTexts.join('\n\n'), pages, totalPages: pdf.numPages };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  async extractDocx(fileBuffer) {
+    const { default: mammoth } = await import('mammoth');
+    const result = await mammoth.extractRawText({ buffer: fileBuffer });
+
+    for (const message of result.messages || []) {
+      logger.debug(`📄 DOCX extraction note: ${message.message}`);
+    }
+
+    return { text: result.value };
+  }
+
+  async extractRtf(fileBuffer) {
+    return { text: this.rtfToText(fileBuffer.toString('latin1')) };
+  }
+
+  async extractPlainText(fileBuffer) {
+    return { text: fileBuffer.toString('utf-8').replace(/^\uFEFF/, '') };
+  }
+
+  // Minimal RTF reader: keeps body text, paragraph breaks and escaped characters, drops
+  // font / colour / style tables, pictures and other `{\*...}` destinations
+  rtfToText(rtf) {
+    const output = [];
+    const stack = [];
+    let skip = false;
+    let unicodeSkip = 1;
+    let pendingSkip = 0;
+
+    const token = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+    let match;
+
+    while ((match = token.exec(rtf)) !== null) {
+      const [, word, param, hex, symbol, brace, text] = match;
+
+      if (brace === '{') {
+        stack.push({ skip, unicodeSkip });
+        continue;
+      }
+      if (brace === '}') {
+        ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+        continue;
+      }
+
+      // Characters standing in for the preceding \uN escape
+      if (pendingSkip > 0 && (hex || text)) {
+        if (hex) {
+          pendingSkip--;
+          continue;
+        }
+        const dropped = Math.min(pendingSkip, text.length);
+        pendingSkip -= dropped;
+        if (!skip && text.length > dropped) output.push(text.slice(dropped));
+        continue;
+      }
+
+      if (symbol) {
+        if (symbol === '*') skip = true;
+        else if (!skip && '\\{}'.includes(symbol)) output.push(symbol);
+        else if (!skip && symbol === '~') output.push(' ');
+        continue;
+      }
+
+      if (hex) {
+        if (!skip) output.push(String.fromCharCode(parseInt(hex, 16)));
+        continue;
+      }
+
+      if (word) {
+        const name = word.toLowerCase();
+        if (RTF_SKIP_DESTINATIONS.has(name)) {
+          skip = true;
+        } else if (name === 'uc') {
+          unicodeSkip = parseInt(param, 10) || 0;
+        } else if (name === 'u' && param) {
+          const code = parseInt(param, 10);
+          if (!skip) output.push(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = unicodeSkip;
+        } else if (!skip && ['par', 'line', 'sect', 'page', 'row'].includes(name)) {
+          output.push('\n');
+        } else if (!skip && ['tab', 'cell'].includes(name)) {
+          output.push('\t');
+        }
+        continue;
+      }
+
+      if (text && !skip) {
+        output.push(text);
+      }
+    }
+
+    return output.join('').replace(/\n{3,}/g, '\n\n');
+  }
+}
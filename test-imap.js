@@ -0,0 +1,215 @@
+// test-imap.js - IMAP mail source check against a throwaway local mailbox (GreenMail)
+//
+//   docker compose -f docker-compose.greenmail.yml up -d
+//   npm run test:imap
+//
+// Empties the test account's INBOX, seeds it with the email fixtures in fixtures/parser and
+// runs ImapMailService against it: listing, the batch cap, skipping before download, mark as
+// read with IMAP_UNSEEN_ONLY, and failed connects / missing mailboxes, which must still close
+// the connection. It only uses TEST_IMAP_* variables (defaults: the GreenMail container), never
+// the IMAP_* ones from .env, so a real inbox is not emptied by accident.
+//
+// Exits 1 when any check fails.
+import fs from 'fs/promises';
+import path from 'path';
+
+const TEST_IMAP = {
+  IMAP_HOST: process.env.TEST_IMAP_HOST || 'localhost',
+  IMAP_PORT: process.env.TEST_IMAP_PORT || '3993',
+  IMAP_SECURE: process.env.TEST_IMAP_SECURE || 'true',
+  IMAP_USER: process.env.TEST_IMAP_USER || 'jobs@localhost',
+  IMAP_PASSWORD: process.env.TEST_IMAP_PASSWORD || 'jobs@localhost',
+  IMAP_MAILBOX: 'INBOX',
+  IMAP_UNSEEN_ONLY: 'false',
+  // GreenMail serves a self-signed certificate
+  IMAP_TLS_REJECT_UNAUTHORIZED: 'false'
+};
+Object.assign(process.env, TEST_IMAP, { MAIL_SOURCE: 'imap' });
+
+// src/config.js insists on credentials for the services this check never calls
+const OFFLINE_ENV = [
+  'SUPABASE_URL',
+  'SUPABASE_KEY',
+  'OPENAI_API_KEY',
+  'GOOGLE_CLIENT_ID',
+  'GOOGLE_CLIENT_SECRET',
+  'GOOGLE_REFRESH_TOKEN',
+  'GOOGLE_SHEET_ID',
+  'GOOGLE_DRIVE_FOLDER_ID'
+];
+for (const name of OFFLINE_ENV) {
+  process.env[name] ||= 'offline-imap-test';
+}
+
+const { CONFIG } = await import('./src/config.js');
+const { ImapMailService } = await import('./src/services/imap.js');
+const { createLogger } = await import('./src/utils/logger.js');
+
+const logger = createLogger();
+
+const FIXTURE_DIR = 'fixtures/parser';
+// GreenMail takes a few seconds to open its ports after the container starts
+const CONNECT_ATTEMPTS = 10;
+const CONNECT_RETRY_MS = 3000;
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+  }));
+  return nested.flat().sort();
+}
+
+// A JSON email fixture's message as a minimal RFC 822 text/plain (or text/html) message
+function toRfc822({ subject = '', from = '', body = '', htmlBody = '' }, index) {
+  const isHtml = !body && Boolean(htmlBody);
+  return [
+    `From: ${from || 'applicant@example.com'}`,
+    `To: ${TEST_IMAP.IMAP_USER}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date(Date.now() - index * 60 * 1000).toUTCString()}`,
+    `Message-ID: <imap-fixture-${index}@localhost>`,
+    'MIME-Version: 1.0',
+    `Content-Type: ${isHtml ? 'text/html' : 'text/plain'}; charset=utf-8`,
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    (isHtml ? htmlBody : body).replace(/\r?\n/g, '\r\n')
+  ].join('\r\n');
+}
+
+// [{ subject, source }] - raw .eml fixtures as they are, JSON email fixtures rebuilt
+async function loadSeedMessages() {
+  const messages = [];
+
+  for (const file of await listFiles(FIXTURE_DIR)) {
+    if (file.endsWith('.eml')) {
+      const source = await fs.readFile(file);
+      const subject = /^Subject:[ \t]*(.*)$/im.exec(source.toString('utf8'))?.[1].trim() || '';
+      messages.push({ subject, source });
+    } else if (file.endsWith('.json') && !file.endsWith('.expected.json') && path.basename(file) !== 'baseline.json') {
+      const spec = JSON.parse(await fs.readFile(file, 'utf8'));
+      if ((spec.kind || 'email') !== 'email' || !spec.message?.subject) continue;
+      messages.push({ subject: spec.message.subject, source: Buffer.from(toRfc822(spec.message, messages.length)) });
+    }
+  }
+
+  return messages;
+}
+
+async function connectWithRetry(service) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await service.testConnection();
+    } catch (error) {
+      if (attempt >= CONNECT_ATTEMPTS) throw error;
+      logger.info(`⏳ IMAP server not ready (${error.message}), retrying in ${CONNECT_RETRY_MS / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, CONNECT_RETRY_MS));
+    }
+  }
+}
+
+// Empty the INBOX and append the seed messages oldest first, so UIDs follow fixture order
+async function seedMailbox(service, messages) {
+  await service.withMailbox(async (client, mailbox) => {
+    if (mailbox.exists > 0) {
+      await client.messageDelete('1:*');
+    }
+    for (const message of messages) {
+      await client.append(mailbox.path, message.source, []);
+    }
+  });
+}
+
+// Records every client the service creates and every message body it downloads
+function instrument(service) {
+  const spy = { clients: [], fetched: 0 };
+  const createClient = service.createClient.bind(service);
+
+  service.createClient = () => {
+    const client = createClient();
+    const fetchOne = client.fetchOne.bind(client);
+    client.fetchOne = (...args) => {
+      spy.fetched++;
+      return fetchOne(...args);
+    };
+    spy.clients.push(client);
+    return client;
+  };
+
+  return spy;
+}
+
+function isClosed(client) {
+  return !client.usable && (!client.socket || client.socket.destroyed);
+}
+
+async function runImapCheck() {
+  const results = [];
+  const check = (name, passed, detail = '') => {
+    results.push(passed);
+    const line = `${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`;
+    if (passed) logger.info(line);
+    else logger.error(line);
+  };
+
+  const config = CONFIG.IMAP_CONFIG;
+  logger.info(`🧪 IMAP check against ${config.user}@${config.host}:${config.port}`);
+
+  const service = new ImapMailService(config);
+  const spy = instrument(service);
+  await connectWithRetry(service);
+
+  const seeds = await loadSeedMessages();
+  if (seeds.length < 3) {
+    throw new Error(`Only ${seeds.length} email fixture(s) found in ${FIXTURE_DIR}`);
+  }
+  await seedMailbox(service, seeds);
+  logger.info(`📥 Seeded ${seeds.length} message(s) from ${FIXTURE_DIR}`);
+
+  const all = await service.getLatestEmails(50);
+  check('every seeded message is listed', all.length === seeds.length, `${all.length}/${seeds.length}`);
+  check('IDs use imap:<mailbox>:<UIDVALIDITY>:<UID>', all.every(message => /^imap:INBOX:\d+:\d+$/.test(message.id)));
+  check('newest message comes first', all[0]?.subject === seeds[seeds.length - 1].subject, all[0]?.subject);
+  check('subjects survive the round trip',
+    JSON.stringify(all.map(message => message.subject).sort()) === JSON.stringify(seeds.map(seed => seed.subject).sort()));
+
+  const capped = await service.getLatestEmails(2);
+  check('the batch size caps the listing', capped.length === 2, `${capped.length}`);
+
+  const skippedId = all[0].id;
+  spy.fetched = 0;
+  const withSkip = await service.getLatestEmails(50, { shouldSkip: id => id === skippedId });
+  check('skipped IDs are not returned', !withSkip.some(message => message.id === skippedId));
+  check('skipped IDs are not downloaded', spy.fetched === seeds.length - 1, `${spy.fetched} fetched`);
+
+  await service.markAsRead(skippedId);
+  const unseen = await new ImapMailService({ ...config, unseenOnly: true }).getLatestEmails(50);
+  check('read messages drop out with IMAP_UNSEEN_ONLY', unseen.length === seeds.length - 1 && !unseen.some(message => message.id === skippedId),
+    `${unseen.length} unseen`);
+
+  check('every connection so far was closed', spy.clients.every(isClosed), `${spy.clients.filter(isClosed).length}/${spy.clients.length}`);
+
+  const missingMailbox = new ImapMailService({ ...config, mailbox: 'Applicants/Does-Not-Exist' });
+  const missingSpy = instrument(missingMailbox);
+  const missingError = await missingMailbox.withMailbox(async () => null).then(() => null, error => error);
+  check('a missing mailbox is an error', Boolean(missingError), missingError?.message);
+  check('a missing mailbox still closes the connection', missingSpy.clients.length === 1 && isClosed(missingSpy.clients[0]));
+
+  const refused = new ImapMailService({ ...config, port: 1 });
+  const refusedSpy = instrument(refused);
+  const refusedError = await refused.withMailbox(async () => null).then(() => null, error => error);
+  check('a refused connection is an error', Boolean(refusedError), refusedError?.message);
+  check('a refused connection is closed', refusedSpy.clients.length === 1 && isClosed(refusedSpy.clients[0]));
+
+  const failed = results.filter(passed => !passed).length;
+  logger.info(`📊 ===== IMAP CHECK SUMMARY: ${results.length - failed}/${results.length} passed =====`);
+  return failed === 0;
+}
+
+runImapCheck()
+  .then(passed => process.exit(passed ? 0 : 1))
+  .catch(error => {
+    logger.error('❌ IMAP check failed:', error);
+    process.exit(1);
+  });